@@ -0,0 +1,89 @@
+// Service worker for the web build: makes the app installable and keeps it working offline.
+// The model and the ONNX runtime are cached separately from the app shell, so a new deploy
+// does not throw away the (large) model unless the model or the runtime actually changed.
+
+const params = new URL(self.location).searchParams;
+// Both versions are set by main.js when registering, see vite.config.js
+const BUILD_ID = params.get('build') || 'dev';
+const MODEL_VERSION = params.get('model') || 'dev';
+
+const APP_CACHE = `blubber-app-${BUILD_ID}`;
+const MODEL_CACHE = `blubber-model-${MODEL_VERSION}`;
+
+const SCOPE = self.registration.scope;
+const APP_SHELL = [
+    SCOPE,
+    `${SCOPE}manifest.webmanifest`,
+    `${SCOPE}icons/icon-256.png`,
+    `${SCOPE}icons/icon-512.png`
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(APP_CACHE)
+            .then(cache => cache.addAll(APP_SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    // Drop caches from older builds and model versions
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('blubber-') && key !== APP_CACHE && key !== MODEL_CACHE)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+function isModelAsset(url) {
+    return /\.(onnx|wasm)$/.test(url.pathname) || /\/ort[^/]*\.m?js$/.test(url.pathname);
+}
+
+async function cacheFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    if (cached) {
+        return cached;
+    }
+    const response = await fetch(request);
+    if (response.ok) {
+        cache.put(request, response.clone());
+    }
+    return response;
+}
+
+async function networkFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request);
+        if (cached) {
+            return cached;
+        }
+        throw error;
+    }
+}
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin) {
+        return;
+    }
+
+    if (isModelAsset(url)) {
+        event.respondWith(cacheFirst(request, MODEL_CACHE));
+    } else if (url.pathname.includes('/assets/')) {
+        // Vite assets have content hashes in their names
+        event.respondWith(cacheFirst(request, APP_CACHE));
+    } else {
+        event.respondWith(networkFirst(request, APP_CACHE));
+    }
+});
@@ -0,0 +1,190 @@
+#!/usr/bin/env node
+/**
+ * WebSocket to UDP bridge for the web build: accepts the connections OSCClient makes
+ * (osc-js WebsocketClientPlugin, one binary OSC packet per message) and forwards every
+ * packet unchanged as a UDP datagram, e.g. to VRCFaceTracking.
+ *
+ *   npm run bridge -- --ws-port 8888 --udp-host 127.0.0.1 --udp-port 8888
+ *
+ * GET /status on the WebSocket port answers with the forwarding stats, which the web UI
+ * polls to show whether the bridge is reachable.
+ *
+ * Browser pages may only connect when they are served from this PC or their origin is allowed,
+ * otherwise any open web page could send OSC to VRChat through the bridge.
+ */
+import dgram from 'node:dgram';
+import http from 'node:http';
+import { isIPv6 } from 'node:net';
+import { parseArgs } from 'node:util';
+import { WebSocketServer } from 'ws';
+
+// The live demo, pages served from this PC are always allowed
+const DEFAULT_ORIGINS = ['https://aurabirb.github.io'];
+// Hosts of pages served from this PC
+const LOCAL_ORIGIN_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+const USAGE = `Usage: npm run bridge -- [options]
+
+  --ws-host <host>   Address to accept WebSocket connections on (default 127.0.0.1,
+                     0.0.0.0 for other devices on the network)
+  --ws-port <port>   WebSocket port, the port of the destination in the web UI (default 8888)
+  --udp-host <host>  Host to forward OSC packets to (default 127.0.0.1)
+  --udp-port <port>  UDP port to forward OSC packets to (default 8888)
+  --allow-origin <origin>
+                     Web page origin that may connect besides local ones, repeat or
+                     separate with commas for more (default ${DEFAULT_ORIGINS.join(', ')})
+  --help             Show this help`;
+
+// Sent as the bridge field of /status so the web UI can tell the bridge from other servers
+const BRIDGE_NAME = 'blubber-osc-bridge';
+
+function parsePort(value, option) {
+    const port = Number(value);
+    if (!Number.isInteger(port) || port < 1 || port > 65535) {
+        console.error(`${option} must be a port between 1 and 65535, got "${value}"`);
+        process.exit(1);
+    }
+    return port;
+}
+
+const { values: args } = parseArgs({
+    options: {
+        'ws-host': { type: 'string', default: '127.0.0.1' },
+        'ws-port': { type: 'string', default: '8888' },
+        'udp-host': { type: 'string', default: '127.0.0.1' },
+        'udp-port': { type: 'string', default: '8888' },
+        'allow-origin': { type: 'string', multiple: true, default: DEFAULT_ORIGINS },
+        help: { type: 'boolean', default: false }
+    }
+});
+if (args.help) {
+    console.log(USAGE);
+    process.exit(0);
+}
+
+const wsHost = args['ws-host'];
+const wsPort = parsePort(args['ws-port'], '--ws-port');
+// IPv6 addresses may be written in brackets as in URLs
+const udpHost = args['udp-host'].replace(/^\[(.*)\]$/, '$1');
+const udpPort = parsePort(args['udp-port'], '--udp-port');
+const allowedOrigins = args['allow-origin']
+    .flatMap(value => value.split(','))
+    .map(origin => origin.trim().replace(/\/+$/, '').toLowerCase())
+    .filter(Boolean);
+
+// Browsers send the page's origin with every WebSocket connection, other clients send none
+function isOriginAllowed(origin) {
+    if (!origin) return true;
+    if (allowedOrigins.includes(origin.toLowerCase())) return true;
+    try {
+        return LOCAL_ORIGIN_HOSTS.includes(new URL(origin).hostname);
+    } catch {
+        // e.g. "null" for pages opened from files
+        return false;
+    }
+}
+
+const stats = {
+    startedAt: Date.now(),
+    clients: 0,
+    packets: 0,
+    bytes: 0,
+    errors: 0,
+    lastError: ''
+};
+
+const udpSocket = dgram.createSocket(isIPv6(udpHost) ? 'udp6' : 'udp4');
+udpSocket.on('error', (error) => {
+    console.error(`UDP socket error: ${error.message}`);
+});
+
+function forward(packet) {
+    udpSocket.send(packet, udpPort, udpHost, (error) => {
+        if (error) {
+            stats.errors++;
+            if (stats.lastError !== error.message) {
+                console.error(`Failed to forward to ${udpHost}:${udpPort}: ${error.message}`);
+            }
+            stats.lastError = error.message;
+        } else {
+            stats.packets++;
+            stats.bytes += packet.length;
+        }
+    });
+}
+
+const server = http.createServer((request, response) => {
+    const headers = {
+        'Access-Control-Allow-Origin': '*',
+        // Lets pages served from the internet (e.g. the live demo) reach a bridge on this PC
+        'Access-Control-Allow-Private-Network': 'true',
+        'Cache-Control': 'no-store'
+    };
+    if (request.method === 'OPTIONS') {
+        response.writeHead(204, { ...headers, 'Access-Control-Allow-Methods': 'GET' });
+        response.end();
+    } else if (request.method === 'GET' && request.url === '/status') {
+        response.writeHead(200, { ...headers, 'Content-Type': 'application/json' });
+        response.end(JSON.stringify({
+            bridge: BRIDGE_NAME,
+            udpHost,
+            udpPort,
+            uptime: Date.now() - stats.startedAt,
+            clients: stats.clients,
+            packets: stats.packets,
+            bytes: stats.bytes,
+            errors: stats.errors,
+            lastError: stats.lastError
+        }));
+    } else {
+        response.writeHead(404, headers);
+        response.end();
+    }
+});
+
+const wsServer = new WebSocketServer({
+    server,
+    verifyClient: ({ origin, req }, callback) => {
+        if (isOriginAllowed(origin)) {
+            callback(true);
+            return;
+        }
+        console.error(`Rejected client from ${req.socket.remoteAddress} with origin ${origin}`);
+        callback(false, 403, `Origin ${origin} is not allowed`);
+    }
+});
+wsServer.on('connection', (socket, request) => {
+    stats.clients++;
+    console.log(`Client connected from ${request.socket.remoteAddress} (${stats.clients} connected)`);
+    socket.on('message', (data, isBinary) => {
+        // osc-js sends binary packets, text messages (e.g. JSON destinations) are not OSC
+        if (isBinary) {
+            forward(Array.isArray(data) ? Buffer.concat(data) : Buffer.from(data));
+        }
+    });
+    socket.on('close', () => {
+        stats.clients--;
+        console.log(`Client disconnected (${stats.clients} connected)`);
+    });
+    socket.on('error', (error) => {
+        console.error(`WebSocket error: ${error.message}`);
+    });
+});
+
+server.on('error', (error) => {
+    console.error(`Cannot listen on ${wsHost}:${wsPort}: ${error.message}`);
+    process.exit(1);
+});
+server.listen(wsPort, wsHost, () => {
+    console.log(`Forwarding OSC from ws://${wsHost}:${wsPort} to udp://${udpHost}:${udpPort}`);
+    console.log(`Accepting web pages from this PC and ${allowedOrigins.join(', ') || 'no other origin'}`);
+    console.log('Press Ctrl+C to stop');
+});
+
+process.on('SIGINT', () => {
+    console.log(`\nForwarded ${stats.packets} packets (${stats.bytes} bytes), ${stats.errors} errors`);
+    wsServer.clients.forEach(socket => socket.terminate());
+    server.close();
+    udpSocket.close();
+    process.exit(0);
+});
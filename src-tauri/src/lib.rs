@@ -2,9 +2,13 @@ use serde::{Deserialize, Serialize};
 use serde_json;
 use std::collections::HashMap;
 
+mod osc_input;
 mod udp;
+mod websocket;
+use osc_input::{configure_osc_input, OscInputConfig};
 use tauri::{Emitter, Listener};
-use udp::{send_blendshapes, start_udp_listener, BlendshapeData};
+use udp::{send_blendshapes, BlendshapeData};
+use websocket::{broadcast_frame, configure_websocket_server, WebSocketServerConfig};
 
 // Learn more about Tauri commands at https://tauri.app/develop/calling-rust/
 #[tauri::command]
@@ -20,8 +24,7 @@ pub fn run() {
         .plugin(tauri_plugin_serialplugin::init())
         .invoke_handler(tauri::generate_handler![
             greet,
-            send_blendshapes,
-            start_udp_listener
+            send_blendshapes
         ])
         .setup(|app| {
             if cfg!(debug_assertions) {
@@ -36,8 +39,14 @@ pub fn run() {
             app.listen("send_blendshapes", move |event| {
                 println!("received blendshapes event");
                 if let Ok(payload) = serde_json::from_str::<BlendshapeData>(&event.payload()) {
-                    println!("jawOpen: {:?}", payload.data.get("jawOpen"));
-                    println!("Sending to port: {}", payload.port);
+                    println!("Values: {}", payload.data.len());
+                    println!("Sending to {} destination(s)", payload.destinations.len());
+                    // WebSocket clients get the frame independently of the UDP destinations
+                    let handle = app_handle.clone();
+                    let frame = payload.clone();
+                    tauri::async_runtime::spawn(async move {
+                        broadcast_frame(&handle, &frame).await;
+                    });
                     let handle = app_handle.clone();
                     tauri::async_runtime::spawn(async move {
                         if let Err(e) = send_blendshapes(handle, payload.clone()).await {
@@ -47,13 +56,32 @@ pub fn run() {
                 }
             });
 
-            // Optional: Start the UDP listener in a background task
-            // let app_handle: AppHandle<Wry<EventLoopMessage>> = app.handle();
-            // tauri::async_runtime::spawn(async move {
-            //     if let Err(e) = start_udp_listener(app_handle).await {
-            //         eprintln!("Error starting UDP listener: {}", e);
-            //     }
-            // });
+            let app_handle = app.handle().clone();
+            app.listen("configure_websocket_server", move |event| {
+                match serde_json::from_str::<WebSocketServerConfig>(&event.payload()) {
+                    Ok(config) => {
+                        let handle = app_handle.clone();
+                        tauri::async_runtime::spawn(async move {
+                            configure_websocket_server(handle, config).await;
+                        });
+                    }
+                    Err(e) => eprintln!("Invalid WebSocket server settings: {}", e),
+                }
+            });
+
+            // OSC remote control commands, see osc_input.rs
+            let app_handle = app.handle().clone();
+            app.listen("configure_osc_input", move |event| {
+                match serde_json::from_str::<OscInputConfig>(&event.payload()) {
+                    Ok(config) => {
+                        let handle = app_handle.clone();
+                        tauri::async_runtime::spawn(async move {
+                            configure_osc_input(handle, config).await;
+                        });
+                    }
+                    Err(e) => eprintln!("Invalid OSC input settings: {}", e),
+                }
+            });
             Ok(())
         })
         .run(tauri::generate_context!())
@@ -0,0 +1,168 @@
+use rosc::{decoder, OscPacket, OscType};
+use serde::{Deserialize, Serialize};
+use serde_json::Value;
+use std::net::SocketAddr;
+use std::sync::OnceLock;
+use tauri::async_runtime::JoinHandle;
+use tauri::Emitter;
+use tokio::net::UdpSocket;
+use tokio::sync::Mutex;
+
+// Only addresses below this are passed on, anything else (e.g. VRChat's parameter traffic) is ignored
+const COMMAND_PREFIX: &str = "/blubber/";
+// VRChat sends avatar parameters named "blubber/..." as /avatar/parameters/blubber/...
+const AVATAR_PARAMETER_PREFIX: &str = "/avatar/parameters";
+
+// Settings sent by the frontend with the "configure_osc_input" event
+#[derive(Debug, Serialize, Deserialize, Clone, PartialEq)]
+pub struct OscInputConfig {
+    pub enabled: bool,
+    pub port: u16,
+    // Accept commands from other devices on the network, otherwise only from this PC
+    #[serde(default)]
+    pub lan: bool,
+}
+
+// Address to bind for the settings: loopback unless LAN access was turned on
+fn bind_address(config: &OscInputConfig) -> &'static str {
+    if config.lan {
+        "0.0.0.0"
+    } else {
+        "127.0.0.1"
+    }
+}
+
+// Reported to the frontend with the "osc-input-status" event
+#[derive(Debug, Serialize, Clone)]
+struct OscInputStatus {
+    running: bool,
+    port: u16,
+    message: String,
+}
+
+// A received command, carried out by the frontend ("osc-command" event)
+#[derive(Debug, Serialize, Clone)]
+struct OscCommand {
+    address: String,
+    args: Vec<Value>,
+    from: String,
+}
+
+struct RunningInput {
+    port: u16,
+    lan: bool,
+    task: JoinHandle<()>,
+}
+
+static OSC_INPUT: OnceLock<Mutex<Option<RunningInput>>> = OnceLock::new();
+
+fn emit_status(app_handle: &tauri::AppHandle, running: bool, port: u16, message: String) {
+    let status = OscInputStatus {
+        running,
+        port,
+        message,
+    };
+    if let Err(e) = app_handle.emit("osc-input-status", status) {
+        eprintln!("Error emitting OSC input status: {}", e);
+    }
+}
+
+// Start, restart or stop listening to match the settings
+pub async fn configure_osc_input(app_handle: tauri::AppHandle, config: OscInputConfig) {
+    let mut input = OSC_INPUT.get_or_init(|| Mutex::new(None)).lock().await;
+    if config.enabled
+        && input
+            .as_ref()
+            .is_some_and(|running| running.port == config.port && running.lan == config.lan)
+    {
+        return;
+    }
+
+    if let Some(running) = input.take() {
+        println!("Stopping OSC input on port {}", running.port);
+        running.task.abort();
+        // Wait until the socket is closed so the port can be bound again
+        let _ = running.task.await;
+    }
+    if !config.enabled {
+        emit_status(&app_handle, false, config.port, String::new());
+        return;
+    }
+
+    let address = bind_address(&config);
+    match UdpSocket::bind((address, config.port)).await {
+        Ok(socket) => {
+            println!("Listening for OSC commands on {}:{}", address, config.port);
+            let handle = app_handle.clone();
+            let task = tauri::async_runtime::spawn(async move {
+                receive_commands(handle, socket).await;
+            });
+            *input = Some(RunningInput {
+                port: config.port,
+                lan: config.lan,
+                task,
+            });
+            emit_status(&app_handle, true, config.port, String::new());
+        }
+        Err(e) => {
+            let message = format!("Failed to listen on port {}: {}", config.port, e);
+            eprintln!("{}", message);
+            emit_status(&app_handle, false, config.port, message);
+        }
+    }
+}
+
+async fn receive_commands(app_handle: tauri::AppHandle, socket: UdpSocket) {
+    let mut buf = [0u8; decoder::MTU];
+    loop {
+        match socket.recv_from(&mut buf).await {
+            Ok((size, addr)) => match decoder::decode_udp(&buf[..size]) {
+                Ok((_, packet)) => emit_commands(&app_handle, packet, addr),
+                Err(e) => eprintln!("Ignoring invalid OSC packet from {}: {:?}", addr, e),
+            },
+            Err(e) => {
+                eprintln!("Error receiving OSC input: {}", e);
+            }
+        }
+    }
+}
+
+fn osc_value(arg: OscType) -> Value {
+    match arg {
+        OscType::Int(value) => Value::from(value),
+        OscType::Long(value) => Value::from(value),
+        OscType::Float(value) => Value::from(value),
+        OscType::Double(value) => Value::from(value),
+        OscType::String(value) => Value::from(value),
+        OscType::Bool(value) => Value::from(value),
+        _ => Value::Null,
+    }
+}
+
+// Emit every command of a message or (nested) bundle
+fn emit_commands(app_handle: &tauri::AppHandle, packet: OscPacket, from: SocketAddr) {
+    match packet {
+        OscPacket::Message(message) => {
+            let address = message
+                .addr
+                .strip_prefix(AVATAR_PARAMETER_PREFIX)
+                .unwrap_or(&message.addr);
+            if !address.starts_with(COMMAND_PREFIX) {
+                return;
+            }
+            let command = OscCommand {
+                address: address.to_string(),
+                args: message.args.into_iter().map(osc_value).collect(),
+                from: from.to_string(),
+            };
+            if let Err(e) = app_handle.emit("osc-command", command) {
+                eprintln!("Error emitting OSC command: {}", e);
+            }
+        }
+        OscPacket::Bundle(bundle) => {
+            for packet in bundle.content {
+                emit_commands(app_handle, packet, from);
+            }
+        }
+    }
+}
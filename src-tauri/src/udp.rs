@@ -1,137 +1,385 @@
-use rosc::{encoder, OscMessage, OscPacket, OscType};
+use rosc::{encoder, OscBundle, OscMessage, OscPacket, OscTime, OscType};
 use serde::{Deserialize, Serialize};
 use std::collections::HashMap;
-use std::net::SocketAddr;
 use std::sync::Arc;
-use tauri::{Emitter, Listener};
-use tokio::net::UdpSocket;
+use std::time::{Duration, Instant};
+use tauri::Emitter;
+use tokio::net::{lookup_host, UdpSocket};
 use tokio::sync::Mutex;
 use std::sync::OnceLock;
 
+// Output values are floats, binary encoded parameters are bools
+#[derive(Debug, Serialize, Deserialize, Clone, Copy)]
+#[serde(untagged)]
+pub enum OutputValue {
+    Bool(bool),
+    Float(f32),
+}
+
+impl From<OutputValue> for OscType {
+    fn from(value: OutputValue) -> Self {
+        match value {
+            OutputValue::Bool(value) => OscType::Bool(value),
+            OutputValue::Float(value) => OscType::Float(value),
+        }
+    }
+}
+
+// Where a frame goes; id is assigned by the frontend and stays the same while the destination is edited
 #[derive(Debug, Serialize, Deserialize, Clone)]
-pub struct BlendshapeData {
-    pub data: HashMap<String, f32>,
+pub struct Destination {
+    pub id: String,
+    pub host: String,
     pub port: u16,
+    #[serde(default = "default_format")]
+    pub format: String,
+    // JSON format only: add raw and filtered values to each frame
+    #[serde(default, rename = "includeRaw")]
+    pub include_raw: bool,
+}
+
+fn default_format() -> String {
+    "osc".to_string()
+}
+
+// A frame in the JSON output format, see src/json-output.js
+#[derive(Debug, Serialize, Deserialize, Clone)]
+pub struct JsonFrame {
+    pub frame: u64,
+    // Capture time in milliseconds since the Unix epoch
+    pub timestamp: f64,
+    // Output values by name
+    pub data: HashMap<String, f32>,
+    // Model output, only sent when requested
+    #[serde(default, skip_serializing_if = "Option::is_none")]
+    pub raw: Option<HashMap<String, f32>>,
+    // Filter chain output before calibration, only sent when requested
+    #[serde(default, skip_serializing_if = "Option::is_none")]
+    pub filtered: Option<HashMap<String, f32>>,
+}
+
+#[derive(Debug, Serialize, Deserialize, Clone)]
+pub struct BlendshapeData {
+    // Values keyed by OSC address
+    pub data: HashMap<String, OutputValue>,
+    // The same frame for JSON destinations, present when there are any
+    #[serde(default)]
+    pub json: Option<JsonFrame>,
+    // Enabled destinations
+    pub destinations: Vec<Destination>,
+    // Send the frame as one OSC bundle instead of one message per blendshape
+    #[serde(default)]
+    pub bundle: bool,
+    // Frame capture time in milliseconds since the Unix epoch, used as the bundle timetag
+    #[serde(default)]
+    pub timestamp: Option<f64>,
+}
+
+// Status of one destination as reported to the frontend with the "destination-status" event
+#[derive(Debug, Serialize, Clone, PartialEq)]
+struct DestinationStatus {
+    id: String,
+    ok: bool,
+    message: String,
 }
 
-// Structure to manage a single persistent UDP connection
+// Seconds between the NTP epoch (1900) and the Unix epoch (1970)
+const NTP_UNIX_OFFSET: u64 = 2_208_988_800;
+
+// Convert a Unix timestamp in milliseconds to an OSC (NTP) timetag
+fn osc_time_from_millis(millis: f64) -> OscTime {
+    let millis = millis.max(0.0);
+    let seconds = (millis / 1000.0).floor();
+    let fraction = (millis - seconds * 1000.0) / 1000.0;
+    OscTime {
+        seconds: (seconds as u64 + NTP_UNIX_OFFSET) as u32,
+        fractional: (fraction * 4_294_967_296.0) as u32,
+    }
+}
+
+// First and longest wait before resolving and connecting a failed destination again
+const RETRY_DELAY_MIN: Duration = Duration::from_secs(1);
+const RETRY_DELAY_MAX: Duration = Duration::from_secs(30);
+
+// State of the socket of one destination
+#[derive(Debug)]
+enum Connection {
+    Connected(Arc<UdpSocket>),
+    // Resolving and connecting in the background, frames are skipped meanwhile
+    Connecting { retry_delay: Duration },
+    // Failed, frames are skipped with the error until retry_at
+    Failed {
+        error: String,
+        retry_at: Instant,
+        retry_delay: Duration,
+    },
+}
+
+// The connection to one destination, for the host and port it was made for
+#[derive(Debug)]
+struct DestinationSocket {
+    host: String,
+    port: u16,
+    connection: Connection,
+}
+
+// One persistent UDP socket per destination, plus the last status sent to the frontend
 #[derive(Debug)]
-struct UdpConnectionManager {
-    current_socket: Option<Arc<UdpSocket>>,
-    current_port: Option<u16>,
+struct DestinationManager {
+    sockets: HashMap<String, DestinationSocket>,
+    statuses: HashMap<String, DestinationStatus>,
+}
+
+// Resolve the destination's host and connect a new socket to it
+async fn connect_destination(host: &str, port: u16) -> Result<UdpSocket, String> {
+    // IPv6 addresses may be written in brackets as in URLs
+    let lookup = host.trim_start_matches('[').trim_end_matches(']');
+    let target = lookup_host((lookup, port))
+        .await
+        .map_err(|e| format!("Cannot resolve {}: {}", host, e))?
+        .next()
+        .ok_or_else(|| format!("Cannot resolve {}", host))?;
+    let bind_address = if target.is_ipv6() { "[::]:0" } else { "0.0.0.0:0" };
+    let socket = UdpSocket::bind(bind_address)
+        .await
+        .map_err(|e| format!("Failed to bind UDP socket: {}", e))?;
+    socket
+        .connect(target)
+        .await
+        .map_err(|e| format!("Failed to connect UDP socket to {}: {}", target, e))?;
+    println!("Created new UDP connection to {}:{} ({})", host, port, target);
+    Ok(socket)
 }
 
-impl UdpConnectionManager {
+impl DestinationManager {
     fn new() -> Self {
         Self {
-            current_socket: None,
-            current_port: None,
+            sockets: HashMap::new(),
+            statuses: HashMap::new(),
         }
     }
 
-    async fn get_or_create_connection(&mut self, port: u16) -> Result<Arc<UdpSocket>, String> {
-        // If we have a connection for the same port, reuse it
-        if let (Some(socket), Some(current_port)) = (&self.current_socket, self.current_port) {
-            if current_port == port {
-                return Ok(socket.clone());
+    // The socket of a destination, None while it is being connected. Starts connecting in the
+    // background when needed, so a slow or failing host never holds up the other destinations.
+    fn get_socket(
+        &mut self,
+        manager: &'static Arc<Mutex<DestinationManager>>,
+        destination: &Destination,
+    ) -> Result<Option<Arc<UdpSocket>>, String> {
+        let mut retry_delay = RETRY_DELAY_MIN;
+        if let Some(existing) = self.sockets.get(&destination.id) {
+            if existing.host == destination.host && existing.port == destination.port {
+                match &existing.connection {
+                    Connection::Connected(socket) => return Ok(Some(socket.clone())),
+                    Connection::Connecting { .. } => return Ok(None),
+                    Connection::Failed {
+                        error, retry_at, ..
+                    } if Instant::now() < *retry_at => return Err(error.clone()),
+                    Connection::Failed {
+                        retry_delay: delay, ..
+                    } => retry_delay = *delay,
+                }
+            } else {
+                println!(
+                    "Destination {} changed from {}:{} to {}:{}, closing existing connection",
+                    destination.id, existing.host, existing.port, destination.host, destination.port
+                );
             }
         }
 
-        // Port changed or no existing connection, create new one
-        if self.current_socket.is_some() {
-            println!("Port changed from {:?} to {}, closing existing connection", self.current_port, port);
+        self.sockets.insert(
+            destination.id.clone(),
+            DestinationSocket {
+                host: destination.host.clone(),
+                port: destination.port,
+                connection: Connection::Connecting { retry_delay },
+            },
+        );
+        let id = destination.id.clone();
+        let host = destination.host.clone();
+        let port = destination.port;
+        tauri::async_runtime::spawn(async move {
+            let result = connect_destination(&host, port).await;
+            manager.lock().await.finish_connecting(&id, &host, port, result);
+        });
+        Ok(None)
+    }
+
+    // Take over the result of a background connect, unless the destination changed meanwhile
+    fn finish_connecting(&mut self, id: &str, host: &str, port: u16, result: Result<UdpSocket, String>) {
+        let Some(entry) = self.sockets.get_mut(id) else {
+            return;
+        };
+        let Connection::Connecting { retry_delay } = entry.connection else {
+            return;
+        };
+        if entry.host != host || entry.port != port {
+            return;
         }
+        entry.connection = match result {
+            Ok(socket) => Connection::Connected(Arc::new(socket)),
+            Err(error) => {
+                eprintln!("{} (retrying in {}s)", error, retry_delay.as_secs());
+                Connection::Failed {
+                    error,
+                    retry_at: Instant::now() + retry_delay,
+                    retry_delay: (retry_delay * 2).min(RETRY_DELAY_MAX),
+                }
+            }
+        };
+    }
 
-        let socket = UdpSocket::bind("0.0.0.0:0")
-            .await
-            .map_err(|e| format!("Failed to bind UDP socket: {}", e))?;
-        
-        let socket_arc = Arc::new(socket);
-        self.current_socket = Some(socket_arc.clone());
-        self.current_port = Some(port);
-        
-        println!("Created new UDP connection for port {}", port);
-        Ok(socket_arc)
+    // Close the sockets of destinations that were removed or disabled
+    fn retain(&mut self, destinations: &[Destination]) {
+        self.sockets
+            .retain(|id, _| destinations.iter().any(|destination| &destination.id == id));
+        self.statuses
+            .retain(|id, _| destinations.iter().any(|destination| &destination.id == id));
     }
 
-    fn close_connection(&mut self) {
-        if self.current_socket.is_some() {
-            println!("Closed UDP connection for port {:?}", self.current_port);
-            self.current_socket = None;
-            self.current_port = None;
+    // Remember a status, returns true if it differs from the last one
+    fn update_status(&mut self, status: DestinationStatus) -> bool {
+        if self.statuses.get(&status.id) == Some(&status) {
+            return false;
         }
+        self.statuses.insert(status.id.clone(), status);
+        true
     }
 }
 
-// Global connection manager
-static CONNECTION_MANAGER: OnceLock<Arc<Mutex<UdpConnectionManager>>> = OnceLock::new();
+// Global destination manager
+static DESTINATION_MANAGER: OnceLock<Arc<Mutex<DestinationManager>>> = OnceLock::new();
 
-fn get_connection_manager() -> &'static Arc<Mutex<UdpConnectionManager>> {
-    CONNECTION_MANAGER.get_or_init(|| {
-        Arc::new(Mutex::new(UdpConnectionManager::new()))
+fn get_destination_manager() -> &'static Arc<Mutex<DestinationManager>> {
+    DESTINATION_MANAGER.get_or_init(|| {
+        Arc::new(Mutex::new(DestinationManager::new()))
     })
 }
 
-#[tauri::command]
-pub async fn send_blendshapes(
-    app_handle: tauri::AppHandle,
-    data: BlendshapeData,
-) -> Result<(), String> {
-    // Get or create persistent connection for this port
-    let connection_manager = get_connection_manager();
-    let socket = {
-        let mut manager = connection_manager.lock().await;
-        manager.get_or_create_connection(data.port).await?
-    };
-
-    let target = format!("127.0.0.1:{}", data.port)
-        .parse::<SocketAddr>()
-        .map_err(|e| format!("Invalid target address: {}", e))?;
+fn blendshape_message(address: &str, value: OutputValue) -> OscPacket {
+    OscPacket::Message(OscMessage {
+        addr: address.to_string(),
+        args: vec![value.into()],
+    })
+}
 
-    // Send OSC messages for each blendshape
-    for (name, value) in data.data.iter() {
-        let address = format!("/{}", name);
+// Encode a frame as OSC datagrams: one bundle, or one message per value
+pub(crate) fn encode_osc(data: &BlendshapeData) -> Result<Vec<Vec<u8>>, String> {
+    if data.bundle {
+        // One packet per frame, timetagged with the capture time (or "immediately" without one)
+        let timetag = data
+            .timestamp
+            .map(osc_time_from_millis)
+            .unwrap_or(OscTime { seconds: 0, fractional: 1 });
+        let packet = OscPacket::Bundle(OscBundle {
+            timetag,
+            content: data
+                .data
+                .iter()
+                .map(|(name, value)| blendshape_message(name, *value))
+                .collect(),
+        });
+        let bundle_buf =
+            encoder::encode(&packet).map_err(|e| format!("Failed to encode OSC bundle: {}", e))?;
+        return Ok(vec![bundle_buf]);
+    }
 
-        let msg = OscMessage {
-            addr: address,
-            args: vec![OscType::Float(*value)],
-        };
+    data.data
+        .iter()
+        .map(|(name, value)| {
+            encoder::encode(&blendshape_message(name, *value))
+                .map_err(|e| format!("Failed to encode OSC message for {}: {}", name, e))
+        })
+        .collect()
+}
 
-        let packet = OscPacket::Message(msg);
-        let msg_buf =
-            encoder::encode(&packet).map_err(|e| format!("Failed to encode OSC message: {}", e))?;
+// Encode a frame as one JSON datagram
+pub(crate) fn encode_json(data: &BlendshapeData, include_raw: bool) -> Result<Vec<Vec<u8>>, String> {
+    let frame = data
+        .json
+        .as_ref()
+        .ok_or_else(|| "No JSON frame to send".to_string())?;
+    let buf = if include_raw {
+        serde_json::to_vec(frame)
+    } else {
+        serde_json::to_vec(&JsonFrame {
+            raw: None,
+            filtered: None,
+            ..frame.clone()
+        })
+    }
+    .map_err(|e| format!("Failed to encode JSON frame: {}", e))?;
+    Ok(vec![buf])
+}
 
+// Send a frame, returns false if the destination is still being connected and the frame was skipped
+async fn send_to_destination(
+    manager: &'static Arc<Mutex<DestinationManager>>,
+    destination: &Destination,
+    datagrams: &[Vec<u8>],
+) -> Result<bool, String> {
+    let Some(socket) = manager.lock().await.get_socket(manager, destination)? else {
+        return Ok(false);
+    };
+    for datagram in datagrams {
         socket
-            .send_to(&msg_buf, target)
+            .send(datagram)
             .await
-            .map_err(|e| format!("Failed to send OSC message for {}: {}", name, e))?;
+            .map_err(|e| format!("Failed to send to {}:{}: {}", destination.host, destination.port, e))?;
     }
-
-    Ok(())
+    Ok(true)
 }
 
-// Optional: Add a function to start listening for UDP messages if needed
 #[tauri::command]
-pub async fn start_udp_listener(app_handle: tauri::AppHandle) -> Result<(), String> {
-    let socket = UdpSocket::bind("127.0.0.1:8884")
-        .await
-        .map_err(|e| e.to_string())?;
-
-    let mut buf = [0u8; 1024];
-
-    loop {
-        match socket.recv_from(&mut buf).await {
-            Ok((size, addr)) => {
-                if let Ok(data) = String::from_utf8(buf[..size].to_vec()) {
-                    // Here you can emit an event to the frontend with the received data
-                    app_handle
-                        .emit("udp-message", data)
-                        .map_err(|e| e.to_string())?;
-                }
-            }
-            Err(e) => {
-                eprintln!("Error receiving UDP message: {}", e);
-            }
+pub async fn send_blendshapes(
+    app_handle: tauri::AppHandle,
+    data: BlendshapeData,
+) -> Result<(), String> {
+    let manager = get_destination_manager();
+    manager.lock().await.retain(&data.destinations);
+
+    // Encode once per format, every destination of that format gets the same datagrams
+    let mut encoded: HashMap<String, Result<Vec<Vec<u8>>, String>> = HashMap::new();
+    let mut errors = Vec::new();
+    for destination in &data.destinations {
+        let key = match destination.format.as_str() {
+            "json" if destination.include_raw => "json+raw".to_string(),
+            format => format.to_string(),
+        };
+        let datagrams = encoded
+            .entry(key)
+            .or_insert_with(|| match destination.format.as_str() {
+                "osc" => encode_osc(&data),
+                "json" => encode_json(&data, destination.include_raw),
+                format => Err(format!("Unknown output format {}", format)),
+            });
+        let result = match datagrams {
+            Ok(datagrams) => send_to_destination(manager, destination, datagrams).await,
+            Err(e) => Err(e.clone()),
+        };
+        // Still connecting, the status changes once it succeeds or fails
+        if matches!(result, Ok(false)) {
+            continue;
         }
+
+        let status = DestinationStatus {
+            id: destination.id.clone(),
+            ok: result.is_ok(),
+            message: result.clone().err().unwrap_or_default(),
+        };
+        if manager.lock().await.update_status(status.clone()) {
+            app_handle
+                .emit("destination-status", status)
+                .map_err(|e| e.to_string())?;
+        }
+        if let Err(e) = result {
+            errors.push(format!("{}: {}", destination.id, e));
+        }
+    }
+
+    if errors.is_empty() {
+        Ok(())
+    } else {
+        Err(errors.join("; "))
     }
 }
@@ -0,0 +1,316 @@
+use futures_util::{SinkExt, StreamExt};
+use serde::{Deserialize, Serialize};
+use std::sync::atomic::{AtomicUsize, Ordering};
+use std::sync::{Arc, OnceLock};
+use tauri::async_runtime::JoinHandle;
+use tauri::Emitter;
+use tokio::net::{TcpListener, TcpStream};
+use tokio::sync::{broadcast, Mutex};
+use tokio_tungstenite::tungstenite::handshake::server::{ErrorResponse, Request, Response};
+use tokio_tungstenite::tungstenite::http::StatusCode;
+use tokio_tungstenite::tungstenite::Message;
+
+use crate::udp::{encode_json, encode_osc, BlendshapeData};
+
+// Frames a slow client may fall behind before it skips ahead
+const CLIENT_QUEUE_LENGTH: usize = 256;
+
+// Settings sent by the frontend with the "configure_websocket_server" event
+#[derive(Debug, Serialize, Deserialize, Clone, PartialEq)]
+pub struct WebSocketServerConfig {
+    pub enabled: bool,
+    pub port: u16,
+    // Send each frame as a JSON text message, see src/json-output.js
+    #[serde(default)]
+    pub json: bool,
+    // Send each frame as binary OSC packets, as osc-js' WebsocketClientPlugin expects
+    #[serde(default)]
+    pub osc: bool,
+    // JSON only: add raw and filtered values
+    #[serde(default, rename = "includeRaw")]
+    pub include_raw: bool,
+    // Accept clients from other devices on the network, otherwise only from this PC
+    #[serde(default)]
+    pub lan: bool,
+    // Web pages other than local ones that may connect, e.g. "https://overlay.example"
+    #[serde(default, rename = "allowedOrigins")]
+    pub allowed_origins: Vec<String>,
+}
+
+// Hosts of pages served from this PC, including the app itself
+const LOCAL_ORIGIN_HOSTS: [&str; 4] = ["localhost", "127.0.0.1", "[::1]", "tauri.localhost"];
+
+// Browsers send the page's origin with every WebSocket connection, other clients send none.
+// Without this check any web page open in the user's browser could read the tracking data.
+fn is_origin_allowed(origin: &str, allowed_origins: &[String]) -> bool {
+    if allowed_origins
+        .iter()
+        .any(|allowed| allowed.trim_end_matches('/').eq_ignore_ascii_case(origin))
+    {
+        return true;
+    }
+    let Some((_, authority)) = origin.split_once("://") else {
+        // e.g. "null" for pages opened from files
+        return false;
+    };
+    let host = if authority.starts_with('[') {
+        authority.split_inclusive(']').next().unwrap_or(authority)
+    } else {
+        authority.split(':').next().unwrap_or(authority)
+    };
+    LOCAL_ORIGIN_HOSTS
+        .iter()
+        .any(|local| local.eq_ignore_ascii_case(host))
+}
+
+// Reported to the frontend with the "websocket-server-status" event
+#[derive(Debug, Serialize, Clone)]
+struct WebSocketServerStatus {
+    running: bool,
+    port: u16,
+    clients: usize,
+    message: String,
+}
+
+// A listening server; dropping it stops accepting and disconnects all clients
+struct RunningServer {
+    port: u16,
+    lan: bool,
+    allowed_origins: Arc<Vec<String>>,
+    sender: broadcast::Sender<Message>,
+    clients: Arc<AtomicUsize>,
+    task: JoinHandle<()>,
+}
+
+impl Drop for RunningServer {
+    fn drop(&mut self) {
+        self.task.abort();
+    }
+}
+
+struct WebSocketServer {
+    config: Option<WebSocketServerConfig>,
+    running: Option<RunningServer>,
+    // Last frame encoding error, reported once until it changes
+    error: Option<String>,
+}
+
+static WEBSOCKET_SERVER: OnceLock<Arc<Mutex<WebSocketServer>>> = OnceLock::new();
+
+fn get_websocket_server() -> &'static Arc<Mutex<WebSocketServer>> {
+    WEBSOCKET_SERVER.get_or_init(|| {
+        Arc::new(Mutex::new(WebSocketServer {
+            config: None,
+            running: None,
+            error: None,
+        }))
+    })
+}
+
+fn emit_status(app_handle: &tauri::AppHandle, running: bool, port: u16, clients: usize, message: String) {
+    let status = WebSocketServerStatus {
+        running,
+        port,
+        clients,
+        message,
+    };
+    if let Err(e) = app_handle.emit("websocket-server-status", status) {
+        eprintln!("Error emitting WebSocket server status: {}", e);
+    }
+}
+
+// Start, restart or stop the server to match the settings
+pub async fn configure_websocket_server(app_handle: tauri::AppHandle, config: WebSocketServerConfig) {
+    let mut server = get_websocket_server().lock().await;
+    server.error = None;
+
+    let keep_running = config.enabled
+        && server
+            .running
+            .as_ref()
+            .is_some_and(|running| {
+                running.port == config.port
+                    && running.lan == config.lan
+                    && *running.allowed_origins == config.allowed_origins
+            });
+    if !keep_running {
+        if let Some(running) = server.running.take() {
+            println!("Stopping WebSocket server on port {}", running.port);
+        }
+        if config.enabled {
+            match start_server(app_handle.clone(), &config).await {
+                Ok(running) => {
+                    server.running = Some(running);
+                    emit_status(&app_handle, true, config.port, 0, String::new());
+                }
+                Err(e) => {
+                    eprintln!("{}", e);
+                    emit_status(&app_handle, false, config.port, 0, e);
+                }
+            }
+        } else {
+            emit_status(&app_handle, false, config.port, 0, String::new());
+        }
+    }
+    server.config = Some(config);
+}
+
+async fn start_server(
+    app_handle: tauri::AppHandle,
+    config: &WebSocketServerConfig,
+) -> Result<RunningServer, String> {
+    let port = config.port;
+    // Loopback unless LAN access was turned on
+    let address = if config.lan { "0.0.0.0" } else { "127.0.0.1" };
+    let listener = TcpListener::bind((address, port))
+        .await
+        .map_err(|e| format!("Failed to start WebSocket server on port {}: {}", port, e))?;
+    println!("WebSocket server listening on {}:{}", address, port);
+    let (sender, _) = broadcast::channel(CLIENT_QUEUE_LENGTH);
+    let clients = Arc::new(AtomicUsize::new(0));
+    let allowed_origins = Arc::new(config.allowed_origins.clone());
+
+    let task_sender = sender.clone();
+    let task_clients = clients.clone();
+    let task_allowed_origins = allowed_origins.clone();
+    let task = tauri::async_runtime::spawn(async move {
+        loop {
+            match listener.accept().await {
+                Ok((stream, addr)) => {
+                    println!("WebSocket client connecting from {}", addr);
+                    // Subscribe right away so the client is counted and closed with the server
+                    let receiver = task_sender.subscribe();
+                    tauri::async_runtime::spawn(serve_client(
+                        app_handle.clone(),
+                        stream,
+                        receiver,
+                        task_clients.clone(),
+                        task_allowed_origins.clone(),
+                        port,
+                    ));
+                }
+                Err(e) => {
+                    eprintln!("Error accepting WebSocket connection: {}", e);
+                }
+            }
+        }
+    });
+
+    Ok(RunningServer {
+        port,
+        lan: config.lan,
+        allowed_origins,
+        sender,
+        clients,
+        task,
+    })
+}
+
+async fn serve_client(
+    app_handle: tauri::AppHandle,
+    stream: TcpStream,
+    mut receiver: broadcast::Receiver<Message>,
+    clients: Arc<AtomicUsize>,
+    allowed_origins: Arc<Vec<String>>,
+    port: u16,
+) {
+    let check_origin = |request: &Request, response: Response| -> Result<Response, ErrorResponse> {
+        let Some(origin) = request.headers().get("Origin") else {
+            return Ok(response);
+        };
+        let origin = origin.to_str().unwrap_or_default();
+        if is_origin_allowed(origin, &allowed_origins) {
+            return Ok(response);
+        }
+        eprintln!("Rejected WebSocket client from origin {}", origin);
+        let mut error = ErrorResponse::new(Some(format!("Origin {} is not allowed", origin)));
+        *error.status_mut() = StatusCode::FORBIDDEN;
+        Err(error)
+    };
+    let websocket = match tokio_tungstenite::accept_hdr_async(stream, check_origin).await {
+        Ok(websocket) => websocket,
+        Err(e) => {
+            eprintln!("WebSocket handshake failed: {}", e);
+            return;
+        }
+    };
+    let (mut write, mut read) = websocket.split();
+    let count = clients.fetch_add(1, Ordering::SeqCst) + 1;
+    emit_status(&app_handle, true, port, count, String::new());
+
+    loop {
+        tokio::select! {
+            message = receiver.recv() => match message {
+                Ok(message) => {
+                    if write.send(message).await.is_err() {
+                        break;
+                    }
+                }
+                // A slow client skips the frames it missed
+                Err(broadcast::error::RecvError::Lagged(_)) => continue,
+                // The server was stopped
+                Err(broadcast::error::RecvError::Closed) => {
+                    let _ = write.send(Message::Close(None)).await;
+                    break;
+                }
+            },
+            // Clients only listen, anything they send other than a close is ignored
+            incoming = read.next() => match incoming {
+                Some(Ok(Message::Close(_))) | Some(Err(_)) | None => break,
+                Some(Ok(_)) => {}
+            },
+        }
+    }
+
+    let count = clients.fetch_sub(1, Ordering::SeqCst) - 1;
+    // Only report for the server that is still running on this port
+    let server = get_websocket_server().lock().await;
+    if server
+        .running
+        .as_ref()
+        .is_some_and(|running| Arc::ptr_eq(&running.clients, &clients))
+    {
+        emit_status(&app_handle, true, port, count, String::new());
+    }
+}
+
+// Queue a frame for every connected client, never waits for them
+pub async fn broadcast_frame(app_handle: &tauri::AppHandle, data: &BlendshapeData) {
+    let mut server = get_websocket_server().lock().await;
+    let (Some(config), Some(running)) = (server.config.clone(), server.running.as_ref()) else {
+        return;
+    };
+    if running.clients.load(Ordering::SeqCst) == 0 {
+        return;
+    }
+
+    let mut messages = Vec::new();
+    let mut errors = Vec::new();
+    if config.json {
+        match encode_json(data, config.include_raw) {
+            Ok(datagrams) => messages.extend(
+                datagrams
+                    .into_iter()
+                    .map(|datagram| Message::Text(String::from_utf8_lossy(&datagram).into_owned())),
+            ),
+            Err(e) => errors.push(e),
+        }
+    }
+    if config.osc {
+        match encode_osc(data) {
+            Ok(packets) => messages.extend(packets.into_iter().map(Message::Binary)),
+            Err(e) => errors.push(e),
+        }
+    }
+    for message in messages {
+        // Fails only when every client disconnected in the meantime
+        let _ = running.sender.send(message);
+    }
+
+    let error = if errors.is_empty() { None } else { Some(errors.join("; ")) };
+    if error != server.error {
+        let clients = running.clients.load(Ordering::SeqCst);
+        emit_status(app_handle, true, config.port, clients, error.clone().unwrap_or_default());
+        server.error = error;
+    }
+}
@@ -0,0 +1,272 @@
+import * as ort from 'onnxruntime-web';
+import { MultiFilterChain } from './filter-chain.js';
+
+/**
+ * Web Worker that owns the ONNX session, the image preprocessing and the filter chain,
+ * so the UI thread only has to render. Driven by BabbleModel through request/response messages.
+ */
+
+const IMAGE_SIZE = 224;
+const EXPECTED_OUTPUT_SIZE = 45;
+
+let session = null;
+// Input and output layout of the loaded model, see readModelLayout()
+let layout = null;
+// Model URL or bytes and sidecar of the loaded model, kept for benchmarking
+let modelSource = null;
+let modelSidecar = null;
+
+let canvas = new OffscreenCanvas(IMAGE_SIZE, IMAGE_SIZE);
+let ctx = canvas.getContext('2d', { willReadFrequently: true });
+
+// Enabled filter stages with parameters per output, resolved by BabbleModel
+let filterStages = [];
+let filter = null;
+
+/**
+ * Scales an image to the model input size and normalizes values to [0, 1].
+ * Single channel models get grayscale, three channel models get planar RGB.
+ * @param {ImageBitmap} image - Cropped input image, closed after use
+ * @returns {Float32Array} Preprocessed image data in NCHW order
+ */
+function preprocessImage(image) {
+    const { width, height, channels } = layout;
+    ctx.clearRect(0, 0, width, height);
+    ctx.drawImage(image, 0, 0, width, height);
+    image.close();
+
+    const data = ctx.getImageData(0, 0, width, height).data;
+    const planeSize = width * height;
+    const float32Data = new Float32Array(planeSize * channels);
+    for (let i = 0; i < data.length; i += 4) {
+        const pixel = i / 4;
+        if (channels === 1) {
+            // Convert RGB to grayscale using standard weights
+            const gray = (data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114);
+            float32Data[pixel] = gray / 255;
+        } else {
+            float32Data[pixel] = data[i] / 255;
+            float32Data[planeSize + pixel] = data[i + 1] / 255;
+            float32Data[2 * planeSize + pixel] = data[i + 2] / 255;
+        }
+    }
+    return float32Data;
+}
+
+/**
+ * Reads and validates the input and output layout of a model.
+ * @param {ort.InferenceSession} candidate - Freshly created session
+ * @param {Object|null} sidecar - Parsed sidecar metadata ({ outputNames, inputSize })
+ * @returns {Promise<Object>} Layout: input/output names, channels, width, height, outputSize
+ * @throws {Error} With a readable message if the model does not match the expected layout
+ */
+async function readModelLayout(candidate, sidecar) {
+    const input = candidate.inputMetadata?.[0];
+    const output = candidate.outputMetadata?.[0];
+    if (!input || !output) {
+        throw new Error('Model must have at least one input and one output');
+    }
+    if (input.isTensor === false || (input.type && input.type !== 'float32')) {
+        throw new Error(`Model input "${input.name}" must be a float32 tensor, got ${input.type || 'a non-tensor value'}`);
+    }
+
+    // Expect NCHW; symbolic dimensions are filled in from the sidecar or the defaults
+    const shape = input.shape || [];
+    if (shape.length !== 0 && shape.length !== 4) {
+        throw new Error(`Model input "${input.name}" must have shape [batch, channels, height, width], got [${shape.join(', ')}]`);
+    }
+    const dim = (index, fallback) => typeof shape[index] === 'number' ? shape[index] : fallback;
+    const channels = dim(1, 1);
+    if (channels !== 1 && channels !== 3) {
+        throw new Error(`Model input must have 1 (grayscale) or 3 (RGB) channels, got ${channels}`);
+    }
+    const height = dim(2, sidecar?.inputSize?.height ?? IMAGE_SIZE);
+    const width = dim(3, sidecar?.inputSize?.width ?? IMAGE_SIZE);
+    if (sidecar?.inputSize && (sidecar.inputSize.width !== width || sidecar.inputSize.height !== height)) {
+        throw new Error(`Sidecar input size ${sidecar.inputSize.width}x${sidecar.inputSize.height} does not match the model's ${width}x${height}`);
+    }
+
+    // Run once on a blank image, output shapes are often symbolic
+    const blank = new ort.Tensor('float32', new Float32Array(channels * width * height), [1, channels, height, width]);
+    const results = await candidate.run({ [input.name]: blank });
+    const outputSize = results[output.name].data.length;
+
+    const expectedSize = sidecar?.outputNames ? sidecar.outputNames.length : EXPECTED_OUTPUT_SIZE;
+    if (outputSize !== expectedSize) {
+        throw new Error(sidecar?.outputNames
+            ? `Model outputs ${outputSize} values but the sidecar names ${expectedSize}`
+            : `Model outputs ${outputSize} values, expected ${EXPECTED_OUTPUT_SIZE} Babble blendshapes. Provide a sidecar JSON with outputNames for other layouts`);
+    }
+
+    return {
+        inputName: input.name,
+        outputName: output.name,
+        channels,
+        width,
+        height,
+        outputSize
+    };
+}
+
+/**
+ * Create a session on the first execution provider that can load the model
+ * @param {string|Uint8Array} model - Model URL or bytes
+ * @param {string[]} providers - Providers to try, in order
+ * @returns {Promise<{session: ort.InferenceSession, provider: string}>}
+ */
+async function createSession(model, providers) {
+    const errors = [];
+    for (const provider of providers) {
+        try {
+            const created = await ort.InferenceSession.create(model, {
+                executionProviders: [provider]
+            });
+            return { session: created, provider };
+        } catch (error) {
+            errors.push(`${provider}: ${error.message}`);
+        }
+    }
+    throw new Error(`No execution provider could load the model (${errors.join('; ')})`);
+}
+
+const handlers = {
+    /**
+     * Load a model from a URL or from the bytes of an .onnx file.
+     * The previous model stays active if the new one fails validation.
+     */
+    async initialize({ model, sidecar, executionProviders, numThreads }) {
+        // Only honoured before the first session is created, BabbleModel restarts the worker to change it
+        if (numThreads) {
+            ort.env.wasm.numThreads = numThreads;
+        }
+        const { session: candidate, provider } = await createSession(model, executionProviders);
+        let candidateLayout;
+        try {
+            candidateLayout = await readModelLayout(candidate, sidecar);
+        } catch (error) {
+            await candidate.release();
+            throw error;
+        }
+
+        if (session) {
+            await session.release();
+        }
+        session = candidate;
+        layout = candidateLayout;
+        modelSource = model;
+        modelSidecar = sidecar;
+        if (canvas.width !== layout.width || canvas.height !== layout.height) {
+            canvas = new OffscreenCanvas(layout.width, layout.height);
+            ctx = canvas.getContext('2d', { willReadFrequently: true });
+        }
+        filter = null;
+        return { ...layout, provider };
+    },
+
+    async predict({ image, timestamp, applyFilter }) {
+        if (!session) {
+            image.close();
+            throw new Error('Model not initialized. Call initialize() first.');
+        }
+        const start = performance.now();
+        const preprocessedData = preprocessImage(image);
+        const preprocessed = performance.now();
+
+        // Create input tensor [1, channels, height, width] for batch_size=1
+        const { inputName, outputName, channels, width, height } = layout;
+        const tensor = new ort.Tensor('float32', preprocessedData, [1, channels, height, width]);
+        const results = await session.run({ [inputName]: tensor });
+        // Copy out of the runtime's memory so the buffer can be transferred
+        const raw = new Float32Array(results[outputName].data);
+        const inferred = performance.now();
+
+        let filtered = null;
+        if (applyFilter) {
+            if (!filter || filter.size !== raw.length) {
+                filter = new MultiFilterChain(filterStages, raw.length);
+            }
+            filtered = filter.filter(raw, timestamp);
+        }
+
+        return {
+            raw,
+            filtered,
+            timing: {
+                preprocessMs: preprocessed - start,
+                inferenceMs: inferred - preprocessed,
+                filterMs: performance.now() - inferred
+            }
+        };
+    },
+
+    /**
+     * Run the loaded model a number of times on each provider and report latency statistics
+     */
+    async benchmark({ image, providers, iterations }) {
+        if (!session) {
+            image.close();
+            throw new Error('Model not initialized. Call initialize() first.');
+        }
+        const { channels, width, height } = layout;
+        const input = preprocessImage(image);
+        const results = [];
+
+        for (const provider of providers) {
+            let candidate = null;
+            try {
+                ({ session: candidate } = await createSession(modelSource, [provider]));
+                const { inputName } = await readModelLayout(candidate, modelSidecar);
+                const feeds = { [inputName]: new ort.Tensor('float32', input, [1, channels, height, width]) };
+
+                // Warm up, first runs include shader compilation and allocation
+                for (let i = 0; i < 3; i++) {
+                    await candidate.run(feeds);
+                }
+
+                const times = [];
+                for (let i = 0; i < iterations; i++) {
+                    const start = performance.now();
+                    await candidate.run(feeds);
+                    times.push(performance.now() - start);
+                }
+                times.sort((a, b) => a - b);
+                results.push({
+                    provider,
+                    meanMs: times.reduce((sum, t) => sum + t, 0) / times.length,
+                    p95Ms: times[Math.min(times.length - 1, Math.ceil(times.length * 0.95) - 1)]
+                });
+            } catch (error) {
+                results.push({ provider, error: error.message });
+            } finally {
+                if (candidate) {
+                    await candidate.release();
+                }
+            }
+        }
+        return { results };
+    },
+
+    setFilterChain({ stages }) {
+        filterStages = stages;
+        filter = null;
+    }
+};
+
+self.onmessage = async (event) => {
+    const { id, type, ...payload } = event.data;
+    try {
+        const handler = handlers[type];
+        if (!handler) {
+            throw new Error(`Unknown model worker request: ${type}`);
+        }
+        const result = await handler(payload);
+        // Hand typed arrays back without copying
+        const transfer = Object.values(result || {})
+            .filter(value => ArrayBuffer.isView(value))
+            .map(value => value.buffer);
+        self.postMessage({ id, result }, transfer);
+    } catch (error) {
+        console.error(`Model worker ${type} failed:`, error);
+        self.postMessage({ id, error: error.message });
+    }
+};
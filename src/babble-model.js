@@ -1,6 +1,10 @@
-import * as ort from 'onnxruntime-web';
+import { resolveFilterChain } from './filter-params.js';
 
 const IMAGE_SIZE = 224;
+// Execution providers that can be forced, in the order 'auto' tries them
+const EXECUTION_PROVIDERS = ['webgpu', 'webgl', 'wasm'];
+// Output names a sidecar may use
+const OUTPUT_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
 
 export class BabbleModel {
     static blendshapeNames = [
@@ -27,90 +31,248 @@ export class BabbleModel {
         'tongueFlat', 'tongueTwistLeft', 'tongueTwistRight'
     ];
 
+    /**
+     * Parses and checks the optional sidecar JSON shipped with a custom model.
+     * Example: { "outputNames": ["jawOpen", ...], "inputSize": { "width": 224, "height": 224 } }
+     * inputSize may also be a single number or a [width, height] array.
+     * @param {string} text - Contents of the sidecar file
+     * @returns {{outputNames: string[]|null, inputSize: {width: number, height: number}|null}}
+     * @throws {Error} If the sidecar is not valid
+     */
+    static parseSidecar(text) {
+        let json;
+        try {
+            json = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Model sidecar is not valid JSON: ${error.message}`);
+        }
+        if (!json || typeof json !== 'object' || Array.isArray(json)) {
+            throw new Error('Model sidecar must be a JSON object');
+        }
+
+        let outputNames = null;
+        if (json.outputNames !== undefined) {
+            if (!Array.isArray(json.outputNames) || json.outputNames.length === 0) {
+                throw new Error('Model sidecar "outputNames" must be a non-empty array of names');
+            }
+            // Names become element ids, OSC addresses and expression names
+            const invalid = json.outputNames.find(name => typeof name !== 'string' || !OUTPUT_NAME_PATTERN.test(name));
+            if (invalid !== undefined) {
+                throw new Error(`Model sidecar output name ${JSON.stringify(invalid)} must start with a letter or _ and contain only letters, digits and _`);
+            }
+            if (new Set(json.outputNames).size !== json.outputNames.length) {
+                throw new Error('Model sidecar "outputNames" contains duplicate names');
+            }
+            outputNames = json.outputNames;
+        }
+
+        let inputSize = null;
+        if (json.inputSize !== undefined) {
+            const size = json.inputSize;
+            if (typeof size === 'number') {
+                inputSize = { width: size, height: size };
+            } else if (Array.isArray(size) && size.length === 2) {
+                inputSize = { width: size[0], height: size[1] };
+            } else if (size && typeof size === 'object') {
+                inputSize = { width: size.width, height: size.height };
+            }
+            if (!inputSize || ![inputSize.width, inputSize.height].every(v => Number.isInteger(v) && v > 0)) {
+                throw new Error('Model sidecar "inputSize" must be a positive integer, [width, height] or { width, height }');
+            }
+        }
+
+        return { outputNames, inputSize };
+    }
+
+    static executionProviders = EXECUTION_PROVIDERS;
+
     constructor() {
         this.IMAGE_SIZE = IMAGE_SIZE;
-        this.session = null;
-        this.inputName = null;
-        this.outputName = null;
-        this.canvas = document.createElement('canvas');
-        this.canvas.width = IMAGE_SIZE;
-        this.canvas.height = IMAGE_SIZE;
-        this.ctx = this.canvas.getContext('2d', { willReadFrequently: true });
+        this.isInitialized = false;
+        this.lastTiming = null;
+        // Provider the loaded session actually runs on
+        this.executionProvider = null;
+        // 'auto' or one of BabbleModel.executionProviders; numThreads 0 lets onnxruntime decide
+        this.runtimeOptions = {
+            executionProvider: 'auto',
+            numThreads: 0
+        };
+        this.filterChain = null;
+        // Names of the outputs of the loaded model, a sidecar can replace the Babble defaults
+        this.blendshapeNames = [...BabbleModel.blendshapeNames];
+        // Input/output layout read from the loaded model
+        this.layout = null;
+
+        // Inference, preprocessing and filtering run in a dedicated worker
+        this.nextRequestId = 1;
+        this.pendingRequests = new Map();
+        this._createWorker();
     }
 
-    async initialize(modelUrl) {
-        try {
-            console.log('Loading model...');
-            this.session = await ort.InferenceSession.create(modelUrl, {
-                executionProviders: ['webgpu', 'webgl', 'wasm', 'cpu']
-            });
-            this.inputName = this.session.inputNames[0];
-            this.outputName = this.session.outputNames[0];
-            console.log('Model loaded successfully');
-        } catch (error) {
-            console.error('Failed to initialize model:', error);
-            throw error;
+    _createWorker() {
+        this.worker = new Worker(new URL('./babble-model-worker.js', import.meta.url), { type: 'module' });
+        this.worker.onmessage = (event) => this._handleMessage(event.data);
+        this.worker.onerror = (event) => {
+            console.error('Model worker error:', event.message);
+            for (const { reject } of this.pendingRequests.values()) {
+                reject(new Error(event.message || 'Model worker crashed'));
+            }
+            this.pendingRequests.clear();
+        };
+        if (this.filterChain) {
+            this.setFilterChain(this.filterChain);
         }
     }
 
     /**
-     * Preprocesses an image by converting it to grayscale and normalizing values.
-     * @param {CanvasImageSource} srcCanvas - The canvas or image element to preprocess
-     * @returns {Promise<Float32Array>} Preprocessed image data as a Float32Array normalized to [0,1]
-     * @throws {Error} If there is an error preprocessing the image
+     * Choose the execution provider and WASM thread count for the next initialize().
+     * onnxruntime reads the thread count only once, so changing it restarts the worker
+     * and the model has to be initialized again.
+     * @param {{executionProvider: string, numThreads: number}} options
+     * @returns {boolean} Whether the model was unloaded and needs initialize() again
      */
-    async preprocessImage(srcCanvas) {
-        try {
-            // Clear canvas and draw the image
-            this.ctx.clearRect(0, 0, this.IMAGE_SIZE, this.IMAGE_SIZE);
-            this.ctx.drawImage(srcCanvas, 0, 0, this.IMAGE_SIZE, this.IMAGE_SIZE);
-
-            // Get grayscale pixel data
-            const imageDataObj = this.ctx.getImageData(0, 0, this.IMAGE_SIZE, this.IMAGE_SIZE);
-            const data = imageDataObj.data;
-
-            // Convert to grayscale and normalize to [0, 1]
-            const float32Data = new Float32Array(this.IMAGE_SIZE * this.IMAGE_SIZE);
-            for (let i = 0; i < data.length; i += 4) {
-                // Convert RGB to grayscale using standard weights
-                const gray = (data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114);
-                float32Data[i / 4] = gray / 255; // Normalize to [0, 1]
+    setRuntimeOptions(options) {
+        const threadsChanged = options.numThreads !== undefined &&
+            options.numThreads !== this.runtimeOptions.numThreads;
+        this.runtimeOptions = { ...this.runtimeOptions, ...options };
+
+        if (threadsChanged && this.isInitialized) {
+            this.worker.terminate();
+            for (const { reject } of this.pendingRequests.values()) {
+                reject(new Error('Model worker restarted'));
             }
+            this.pendingRequests.clear();
+            this.isInitialized = false;
+            this.executionProvider = null;
+            this._createWorker();
+            return true;
+        }
+        return false;
+    }
 
-            return float32Data;
+    /**
+     * Load and validate a model. The previously loaded model stays active if this fails.
+     * @param {string|Uint8Array} model - Model URL or the bytes of an .onnx file
+     * @param {Object|null} sidecar - Metadata from BabbleModel.parseSidecar()
+     * @throws {Error} If the model cannot be loaded or does not match the expected layout
+     */
+    async initialize(model, sidecar = null) {
+        try {
+            console.log('Loading model...');
+            // Resolve URLs relative to the page, the worker lives under /assets
+            const source = typeof model === 'string' ? new URL(model, window.location.href).toString() : model;
+            const { executionProvider, numThreads } = this.runtimeOptions;
+            const executionProviders = executionProvider === 'auto' ? EXECUTION_PROVIDERS : [executionProvider];
+            const { provider, ...layout } = await this._request('initialize', {
+                model: source,
+                sidecar,
+                executionProviders,
+                numThreads
+            });
+            this.layout = layout;
+            this.executionProvider = provider;
+            this.blendshapeNames = sidecar?.outputNames ? [...sidecar.outputNames] : [...BabbleModel.blendshapeNames];
+            // Per-blendshape filter parameters depend on the output names
+            if (this.filterChain) {
+                this.setFilterChain(this.filterChain);
+            }
+            this.isInitialized = true;
+            const { channels, width, height, outputSize } = this.layout;
+            console.log(`Model loaded successfully on ${provider}: ${channels}x${width}x${height} input, ${outputSize} outputs`);
         } catch (error) {
-            console.error('Error preprocessing image:', error);
+            console.error('Failed to initialize model:', error);
             throw error;
         }
     }
+
     /**
-     * Preprocesses an image for model input by converting it to grayscale and normalizing values.
-     * @param {HTMLCanvasElement} canvas - The canvas element containing the image to preprocess
-     * @returns {Promise<Float32Array>} Preprocessed image data as a Float32Array normalized to [0,1]
-     * @throws {Error} If there is an error preprocessing the image
+     * Runs the model on an image.
+     * @param {CanvasImageSource} canvas - Canvas, ImageBitmap or VideoFrame holding the cropped mouth image
+     * @returns {Promise<Float32Array>} Raw blendshape values in this.blendshapeNames order
+     * @throws {Error} If the model is not initialized or inference fails
      */
     async predict(canvas) {
-        if (!this.session) {
-            throw new Error('Model not initialized. Call initialize() first.');
-        }
-        try {
-            // Preprocess the image
-            const preprocessedData = await this.preprocessImage(canvas);
+        const { raw } = await this._runPrediction(canvas, null, false);
+        return raw;
+    }
 
-            // Create input tensor [1, 1, 224, 224] for batch_size=1, channels=1
-            const tensor = new ort.Tensor('float32', preprocessedData, [1, 1, this.IMAGE_SIZE, this.IMAGE_SIZE]);
+    /**
+     * Runs the model and the filter chain on an image.
+     * @param {CanvasImageSource} canvas - Canvas, ImageBitmap or VideoFrame holding the cropped mouth image
+     * @param {number} timestamp - Frame time in seconds, used by the filter
+     * @returns {Promise<{raw: Float32Array, filtered: Float32Array, timing: Object}>} Raw and filtered
+     *   values, and how long preprocessing, inference, filtering and the whole round trip took in ms
+     * @throws {Error} If the model is not initialized or inference fails
+     */
+    async predictFiltered(canvas, timestamp) {
+        return this._runPrediction(canvas, timestamp, true);
+    }
 
-            // Run inference
-            const feeds = { [this.inputName]: tensor };
-            const results = await this.session.run(feeds);
+    /**
+     * Update the filter chain used by predictFiltered(). Resets the filter state.
+     * @param {Array<Object>} chain - Filter stages in order, see filter-params.js
+     */
+    setFilterChain(chain) {
+        this.filterChain = chain;
+        const stages = resolveFilterChain(chain, this.blendshapeNames);
+        this._request('setFilterChain', { stages }).catch(error => {
+            console.error('Failed to update filter chain:', error);
+        });
+    }
 
-            // Get results
-            const outputData = results[this.outputName].data;
+    /**
+     * Time the loaded model on every execution provider.
+     * @param {CanvasImageSource} canvas - Image to run the model on, e.g. the current crop
+     * @param {number} iterations - Timed inferences per provider
+     * @returns {Promise<Array<{provider: string, meanMs?: number, p95Ms?: number, error?: string}>>}
+     */
+    async benchmark(canvas, iterations = 50) {
+        if (!this.isInitialized) {
+            throw new Error('Model not initialized. Call initialize() first.');
+        }
+        const image = await createImageBitmap(canvas);
+        const { results } = await this._request('benchmark', {
+            image,
+            providers: EXECUTION_PROVIDERS,
+            iterations
+        }, [image]);
+        return results;
+    }
 
-            return outputData;
+    async _runPrediction(canvas, timestamp, applyFilter) {
+        if (!this.isInitialized) {
+            throw new Error('Model not initialized. Call initialize() first.');
+        }
+        try {
+            const start = performance.now();
+            // Snapshot the image so it can be transferred to the worker
+            const image = await createImageBitmap(canvas);
+            const result = await this._request('predict', { image, timestamp, applyFilter }, [image]);
+            result.timing.totalMs = performance.now() - start;
+            this.lastTiming = result.timing;
+            return result;
         } catch (error) {
             console.error('Error running prediction:', error);
             throw error;
         }
     }
-} 
\ No newline at end of file
+
+    _request(type, payload = {}, transfer = []) {
+        return new Promise((resolve, reject) => {
+            const id = this.nextRequestId++;
+            this.pendingRequests.set(id, { resolve, reject });
+            this.worker.postMessage({ id, type, ...payload }, transfer);
+        });
+    }
+
+    _handleMessage({ id, result, error }) {
+        const request = this.pendingRequests.get(id);
+        if (!request) return;
+        this.pendingRequests.delete(id);
+        if (error) {
+            request.reject(new Error(error));
+        } else {
+            request.resolve(result);
+        }
+    }
+}
@@ -0,0 +1,59 @@
+/**
+ * Detection of the WebSocket to UDP bridge (scripts/osc-bridge.js, `npm run bridge`) the web
+ * build's OSC destinations connect to. The bridge answers GET /status on its WebSocket port.
+ */
+
+const BRIDGE_NAME = 'blubber-osc-bridge';
+
+/**
+ * Ask a destination for the bridge's forwarding stats
+ * @param {string} host - Destination host
+ * @param {number} port - Destination port
+ * @param {number} timeout - Milliseconds to wait for an answer
+ * @returns {Promise<Object|null>} { udpHost, udpPort, uptime, clients, packets, bytes, errors, lastError },
+ *     null if no bridge answers
+ */
+export async function fetchBridgeStatus(host, port, timeout = 1000) {
+    // IPv6 addresses need brackets in URLs
+    const urlHost = host.includes(':') && !host.startsWith('[') ? `[${host}]` : host;
+    try {
+        const response = await fetch(`http://${urlHost}:${port}/status`, {
+            cache: 'no-store',
+            signal: AbortSignal.timeout(timeout)
+        });
+        if (!response.ok) return null;
+        const status = await response.json();
+        return status?.bridge === BRIDGE_NAME ? status : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Short label and details for a destination's bridge
+ * @param {Object|null} status - Result of fetchBridgeStatus
+ * @param {Object|null} previous - The status before, with the time it was fetched
+ * @param {number} time - Time status was fetched, in milliseconds
+ * @returns {{text: string, message: string, error: boolean}}
+ */
+export function describeBridgeStatus(status, previous, time) {
+    if (!status) {
+        return {
+            text: 'no bridge',
+            message: 'No WebSocket to UDP bridge answers on this port, start one with "npm run bridge"',
+            error: false
+        };
+    }
+    const seconds = previous?.status ? (time - previous.time) / 1000 : 0;
+    const rate = seconds > 0 ? Math.max(0, (status.packets - previous.status.packets) / seconds) : 0;
+    const newErrors = previous?.status ? status.errors - previous.status.errors : 0;
+    return {
+        text: `bridge → ${status.udpHost}:${status.udpPort} ${Math.round(rate)}/s`,
+        message: [
+            `${status.packets} packets (${status.bytes} bytes) forwarded, ${status.errors} errors`,
+            `${status.clients} client(s) connected`,
+            status.lastError ? `Last error: ${status.lastError}` : ''
+        ].filter(Boolean).join('\n'),
+        error: newErrors > 0
+    };
+}
@@ -0,0 +1,147 @@
+// Histogram bins cover a bit more than 0-1, models overshoot slightly
+const HISTOGRAM_BINS = 200;
+const HISTOGRAM_MIN = -0.5;
+const HISTOGRAM_MAX = 1.5;
+
+/**
+ * Fixed-bin histogram of one blendshape's values
+ */
+export class ValueHistogram {
+    constructor(bins = HISTOGRAM_BINS, min = HISTOGRAM_MIN, max = HISTOGRAM_MAX) {
+        this.min = min;
+        this.max = max;
+        this.counts = new Uint32Array(bins);
+        this.total = 0;
+    }
+
+    get binWidth() {
+        return (this.max - this.min) / this.counts.length;
+    }
+
+    add(value) {
+        // Values outside the covered range land in the edge bins
+        const bin = Math.floor((value - this.min) / this.binWidth);
+        this.counts[Math.max(0, Math.min(this.counts.length - 1, bin))]++;
+        this.total++;
+    }
+
+    /**
+     * Value below which the given percentage of recorded values lie, interpolated within the bin
+     * @param {number} percent - 0 to 100
+     * @returns {number} NaN if nothing was recorded
+     */
+    percentile(percent) {
+        if (this.total === 0) return NaN;
+        const target = Math.max(0, Math.min(1, percent / 100)) * this.total;
+        let cumulative = 0;
+        for (let bin = 0; bin < this.counts.length; bin++) {
+            const count = this.counts[bin];
+            if (count > 0 && cumulative + count >= target) {
+                const fraction = (target - cumulative) / count;
+                return this.min + (bin + fraction) * this.binWidth;
+            }
+            cumulative += count;
+        }
+        return this.max;
+    }
+}
+
+/**
+ * Records raw predictions during calibration and flags frames that should not count:
+ * non-finite values, glitch frames where most blendshapes jump at once (e.g. a broken
+ * JPEG from the serial camera), and frames the user marked as bad.
+ */
+export class CalibrationRecorder {
+    /**
+     * @param {string[]} names - Blendshape names in prediction order
+     */
+    constructor(names, options = {}) {
+        this.names = [...names];
+        this.options = {
+            // Mean absolute change over all blendshapes that marks a glitch frame
+            spikeThreshold: 0.15,
+            // After this many flagged frames in a row the new values are accepted as real
+            maxConsecutiveSpikes: 3,
+            ...options
+        };
+        // { values: Float32Array, timestamp: number, flag: null|'invalid'|'spike'|'manual' }
+        this.frames = [];
+        this.lastGoodValues = null;
+        this.consecutiveSpikes = 0;
+    }
+
+    get frameCount() {
+        return this.frames.length;
+    }
+
+    get flaggedCount() {
+        return this.frames.filter(frame => frame.flag).length;
+    }
+
+    /**
+     * Record one frame
+     * @param {Float32Array} values - Raw predictions
+     * @param {number} timestamp - Frame time in milliseconds
+     * @returns {string|null} Why the frame was flagged, or null if it is good
+     */
+    addFrame(values, timestamp) {
+        const frame = { values: Float32Array.from(values), timestamp, flag: null };
+
+        if (!frame.values.every(Number.isFinite)) {
+            frame.flag = 'invalid';
+        } else if (this.lastGoodValues && this.consecutiveSpikes < this.options.maxConsecutiveSpikes) {
+            let change = 0;
+            frame.values.forEach((value, index) => {
+                change += Math.abs(value - this.lastGoodValues[index]);
+            });
+            if (change / frame.values.length > this.options.spikeThreshold) {
+                frame.flag = 'spike';
+            }
+        }
+
+        if (frame.flag === 'spike') {
+            this.consecutiveSpikes++;
+        } else if (!frame.flag) {
+            this.consecutiveSpikes = 0;
+            this.lastGoodValues = frame.values;
+        }
+        this.frames.push(frame);
+        return frame.flag;
+    }
+
+    /**
+     * Mark the most recent frames as bad
+     * @param {number} seconds - How far back from the last frame
+     * @returns {number} Number of frames newly flagged
+     */
+    flagRecent(seconds) {
+        if (this.frames.length === 0) return 0;
+        const since = this.frames[this.frames.length - 1].timestamp - seconds * 1000;
+        let flagged = 0;
+        this.frames.forEach(frame => {
+            if (frame.timestamp >= since && !frame.flag) {
+                frame.flag = 'manual';
+                flagged++;
+            }
+        });
+        return flagged;
+    }
+
+    /**
+     * Build the value histogram of one blendshape
+     * @param {string} name - Blendshape name
+     * @param {boolean} discardFlagged - Leave out flagged frames
+     * @returns {ValueHistogram}
+     */
+    getHistogram(name, discardFlagged = true) {
+        const index = this.names.indexOf(name);
+        const histogram = new ValueHistogram();
+        if (index === -1) return histogram;
+        this.frames.forEach(frame => {
+            if ((!discardFlagged || !frame.flag) && Number.isFinite(frame.values[index])) {
+                histogram.add(frame.values[index]);
+            }
+        });
+        return histogram;
+    }
+}
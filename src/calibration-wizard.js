@@ -0,0 +1,146 @@
+import { CalibrationRecorder } from './calibration-recorder.js';
+
+/**
+ * Expressions the guided calibration walks through. The neutral step records the resting
+ * value (range minimum) of every blendshape, every other step only records the peak
+ * (range maximum) of the blendshapes it targets.
+ */
+export const CALIBRATION_STEPS = [
+    { id: 'neutral', title: 'Neutral', instruction: 'Relax your face with your mouth closed and look straight ahead.', mode: 'min', targets: 'all' },
+    { id: 'jawOpen', title: 'Jaw open', instruction: 'Open your mouth as wide as you comfortably can.', mode: 'max', targets: ['jawOpen', 'mouthLowerDownLeft', 'mouthLowerDownRight'] },
+    { id: 'jawSideways', title: 'Jaw sideways', instruction: 'Slide your jaw to the left, to the right and forward.', mode: 'max', targets: ['jawLeft', 'jawRight', 'jawForward'] },
+    { id: 'smile', title: 'Smile', instruction: 'Smile as wide as you can, with and without teeth.', mode: 'max', targets: ['mouthSmileLeft', 'mouthSmileRight', 'mouthDimpleLeft', 'mouthDimpleRight'] },
+    { id: 'frown', title: 'Frown', instruction: 'Pull the corners of your mouth down and stretch your lips sideways.', mode: 'max', targets: ['mouthFrownLeft', 'mouthFrownRight', 'mouthStretchLeft', 'mouthStretchRight'] },
+    { id: 'pucker', title: 'Pucker', instruction: 'Pucker your lips as for a kiss, then round them into an "O".', mode: 'max', targets: ['mouthPucker', 'mouthFunnel'] },
+    { id: 'mouthSideways', title: 'Mouth sideways', instruction: 'Move your closed lips to the left, then to the right.', mode: 'max', targets: ['mouthLeft', 'mouthRight'] },
+    { id: 'lipRoll', title: 'Lips rolled in', instruction: 'Roll your lips into your mouth and press them together.', mode: 'max', targets: ['mouthRollUpper', 'mouthRollLower', 'mouthPressLeft', 'mouthPressRight', 'mouthClose'] },
+    { id: 'lipShrug', title: 'Lip shrug', instruction: 'Push your lower lip up against your upper lip, as when pouting.', mode: 'max', targets: ['mouthShrugUpper', 'mouthShrugLower'] },
+    { id: 'sneer', title: 'Sneer', instruction: 'Raise your upper lip and wrinkle your nose.', mode: 'max', targets: ['mouthUpperUpLeft', 'mouthUpperUpRight', 'noseSneerLeft', 'noseSneerRight'] },
+    { id: 'cheekPuff', title: 'Cheek puff', instruction: 'Puff up both cheeks with air, then one side at a time.', mode: 'max', targets: ['cheekPuffLeft', 'cheekPuffRight'] },
+    { id: 'cheekSuck', title: 'Cheek suck', instruction: 'Suck your cheeks in.', mode: 'max', targets: ['cheekSuckLeft', 'cheekSuckRight'] },
+    { id: 'tongueOut', title: 'Tongue out', instruction: 'Stick your tongue out as far as you can, flat and relaxed.', mode: 'max', targets: ['tongueOut', 'tongueFlat', 'tongueSquish'] },
+    { id: 'tongueUp', title: 'Tongue up', instruction: 'With your tongue out, point it up towards your nose and curl the tip.', mode: 'max', targets: ['tongueUp', 'tongueCurlUp'] },
+    { id: 'tongueDown', title: 'Tongue down', instruction: 'With your tongue out, point it down towards your chin.', mode: 'max', targets: ['tongueDown', 'tongueBendDown'] },
+    { id: 'tongueLeft', title: 'Tongue left', instruction: 'With your tongue out, point it to the left.', mode: 'max', targets: ['tongueLeft'] },
+    { id: 'tongueRight', title: 'Tongue right', instruction: 'With your tongue out, point it to the right.', mode: 'max', targets: ['tongueRight'] },
+    { id: 'tongueRoll', title: 'Tongue roll', instruction: 'Roll your tongue into a tube, then twist it to either side.', mode: 'max', targets: ['tongueRoll', 'tongueTwistLeft', 'tongueTwistRight'] }
+];
+
+/**
+ * Step-by-step calibration: records a few seconds of raw predictions per expression
+ * into a CalibrationRecorder, from which the ranges of the step's blendshapes are derived.
+ * Frames are fed in with addSample(), the UI listens to the events.
+ */
+export class CalibrationWizard {
+    constructor(options = {}) {
+        this.options = {
+            // How long each step records, in milliseconds
+            stepDuration: 3000,
+            ...options
+        };
+        this.isActive = false;
+        this.isRecording = false;
+        this.names = [];
+        this.steps = [];
+        this.currentIndex = 0;
+        // Finished recording per step id
+        this.results = new Map();
+        // Recording of the current step
+        this.recorder = null;
+        this.recordingStartTime = null;
+        this.eventListeners = new Map();
+    }
+
+    /**
+     * Start at the first step. Steps without any target among the model's outputs are skipped.
+     * @param {string[]} names - Blendshape names in prediction order
+     */
+    start(names) {
+        this.names = [...names];
+        this.steps = CALIBRATION_STEPS
+            .map(step => ({
+                ...step,
+                targets: step.targets === 'all' ? [...names] : step.targets.filter(name => names.includes(name))
+            }))
+            .filter(step => step.targets.length > 0);
+        this.results.clear();
+        this.isActive = true;
+        this.goTo(0);
+    }
+
+    stop() {
+        this.isActive = false;
+        this.isRecording = false;
+        this.recorder = null;
+        this._emit('closed');
+    }
+
+    get currentStep() {
+        return this.steps[this.currentIndex] || null;
+    }
+
+    /**
+     * Move to a step, e.g. to redo it. Cancels a recording in progress.
+     * @param {number} index - Step index
+     */
+    goTo(index) {
+        if (index < 0 || index >= this.steps.length) return;
+        this.isRecording = false;
+        this.recorder = null;
+        this.currentIndex = index;
+        this._emit('stepChanged', this.currentStep, index);
+    }
+
+    startRecording() {
+        if (!this.isActive || !this.currentStep) return;
+        this.recorder = new CalibrationRecorder(this.names);
+        this.recordingStartTime = Date.now();
+        this.isRecording = true;
+        this._emit('progress', 0);
+    }
+
+    /**
+     * Feed one frame of raw predictions
+     * @param {Float32Array} values - Raw predictions in the order passed to start()
+     */
+    addSample(values) {
+        if (!this.isRecording) return;
+
+        const now = Date.now();
+        this.recorder.addFrame(values, now);
+        const elapsed = now - this.recordingStartTime;
+        const progress = elapsed >= this.options.stepDuration ? 1 : elapsed / this.options.stepDuration;
+        this._emit('progress', progress);
+        if (progress >= 1) {
+            this._finishRecording();
+        }
+    }
+
+    on(event, callback) {
+        if (!this.eventListeners.has(event)) {
+            this.eventListeners.set(event, new Set());
+        }
+        this.eventListeners.get(event).add(callback);
+    }
+
+    off(event, callback) {
+        if (this.eventListeners.has(event)) {
+            this.eventListeners.get(event).delete(callback);
+        }
+    }
+
+    _emit(event, ...args) {
+        if (this.eventListeners.has(event)) {
+            for (const callback of this.eventListeners.get(event)) {
+                callback(...args);
+            }
+        }
+    }
+
+    _finishRecording() {
+        this.isRecording = false;
+        const step = this.currentStep;
+        this.results.set(step.id, this.recorder);
+        this._emit('stepRecorded', step, this.recorder);
+    }
+}
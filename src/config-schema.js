@@ -0,0 +1,293 @@
+import { migrateFilterParams, normalizeFilterChain } from './filter-params.js';
+import { ADDRESS_PRESETS, isValidAddress } from './output-mapping.js';
+import { DERIVED_OUTPUT_MODES } from './derived-outputs.js';
+import { DESTINATION_FORMATS, createDestination, isValidDestinationId, isValidHost, isValidOrigin } from './destinations.js';
+import { normalizeOutputSettings } from './output-stage.js';
+import { PROFILE_KEYS } from './profiles.js';
+
+/**
+ * Versioned schema of the stored configuration. Stored configs are migrated to the current
+ * version step by step, then every field is checked against the schema and merged with the
+ * defaults. Invalid values are replaced by the default and reported as repairs.
+ */
+
+export const CONFIG_VERSION = 3;
+
+/**
+ * Migrations in order. Each one upgrades a config from version - 1 to version;
+ * configs saved before versioning count as version 1.
+ */
+const MIGRATIONS = [
+    {
+        version: 2,
+        // One Euro filterParams become the first stage of the filter chain
+        migrate(config) {
+            const { filterParams, ...rest } = config;
+            if (filterParams && !rest.filterChain) {
+                rest.filterChain = migrateFilterParams(filterParams);
+            }
+            return rest;
+        }
+    },
+    {
+        version: 3,
+        // The single OSC port becomes the first of a list of destinations
+        migrate(config) {
+            const { udpPort, ...rest } = config;
+            if (!rest.destinations) {
+                rest.destinations = [createDestination({ port: udpPort ?? 8888 })];
+            }
+            return rest;
+        }
+    }
+];
+
+const isPlainObject = value => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+const describe = value => {
+    const text = typeof value === 'number' ? String(value) : JSON.stringify(value);
+    return text === undefined ? String(value) : text.length > 40 ? `${text.slice(0, 40)}...` : text;
+};
+
+/*
+ * Validators are called as validator(value, fallback, context, path) with a value that is
+ * not undefined, and return the value to use. context.repair(path, value, fallback) records
+ * a replaced value and returns the fallback, context.report(message) records other fixes.
+ */
+
+const number = ({ min = -Infinity, max = Infinity, integer = false } = {}) => (value, fallback, context, path) => {
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max ||
+        (integer && !Number.isInteger(value))) {
+        return context.repair(path, value, fallback);
+    }
+    return value;
+};
+
+const boolean = () => (value, fallback, context, path) =>
+    typeof value === 'boolean' ? value : context.repair(path, value, fallback);
+
+const string = () => (value, fallback, context, path) =>
+    typeof value === 'string' ? value : context.repair(path, value, fallback);
+
+const oneOf = options => (value, fallback, context, path) =>
+    options.includes(value) ? value : context.repair(path, value, fallback);
+
+const object = () => (value, fallback, context, path) =>
+    isPlainObject(value) ? value : context.repair(path, value, fallback);
+
+const nullable = validator => (value, fallback, context, path) =>
+    value === null ? null : validator(value, fallback, context, path);
+
+// Object with known fields, missing fields come from the fallback
+const shape = (fields, check = null) => (value, fallback, context, path) => {
+    if (!isPlainObject(value)) {
+        return context.repair(path, value, fallback);
+    }
+    const result = {};
+    Object.entries(fields).forEach(([key, validator]) => {
+        const fieldPath = `${path}.${key}`;
+        result[key] = value[key] === undefined
+            ? fallback?.[key]
+            : validator(value[key], fallback?.[key], context, fieldPath);
+    });
+    if (check && !check(result)) {
+        return context.repair(path, value, fallback);
+    }
+    return result;
+};
+
+// List of entries, invalid entries are dropped
+const list = entry => (value, fallback, context, path) => {
+    if (!Array.isArray(value)) {
+        return context.repair(path, value, fallback);
+    }
+    return value
+        .map((item, index) => entry(item, undefined, context, `${path}[${index}]`))
+        .filter(item => item !== undefined);
+};
+
+// Object keyed by name (blendshape, device, profile), invalid entries are dropped
+const record = entry => (value, fallback, context, path) => {
+    if (!isPlainObject(value)) {
+        return context.repair(path, value, fallback);
+    }
+    const result = {};
+    Object.entries(value).forEach(([key, item]) => {
+        const validated = entry(item, undefined, context, `${path}.${key}`);
+        if (validated !== undefined) {
+            result[key] = validated;
+        }
+    });
+    return result;
+};
+
+const filterChain = () => (value, fallback, context, path) => {
+    if (!Array.isArray(value)) {
+        return context.repair(path, value, fallback);
+    }
+    const chain = normalizeFilterChain(value);
+    if (chain.length !== value.length) {
+        context.report(`${path}: removed ${value.length - chain.length} stage(s) of unknown type`);
+    }
+    return chain;
+};
+
+const outputSettings = () => (value, fallback, context, path) =>
+    isPlainObject(value) ? normalizeOutputSettings(value) : context.repair(path, value, fallback);
+
+const address = () => (value, fallback, context, path) =>
+    value === null || isValidAddress(value) ? value : context.repair(path, value, fallback);
+
+const destination = shape({
+    // Invalid ids are replaced by a new one
+    id: (value, fallback, context, path) => isValidDestinationId(value) ? value : context.repair(path, value, fallback),
+    host: (value, fallback, context, path) => isValidHost(value) ? value : context.repair(path, value, fallback),
+    port: number({ min: 1, max: 65535, integer: true }),
+    format: oneOf(Object.keys(DESTINATION_FORMATS)),
+    includeRaw: boolean(),
+    enabled: boolean()
+});
+
+const range = shape(
+    { min: number(), max: number() },
+    ({ min, max }) => Number.isFinite(min) && Number.isFinite(max) && max > min
+);
+
+const FIELDS = {
+    cameraSource: oneOf(['serial', 'webcam', 'network', 'file']),
+    selectedSerialPort: string(),
+    networkCameraUrl: string(),
+    selectedWebcamDeviceId: string(),
+    webcamDeviceSettings: record(shape({
+        width: number({ min: 1, integer: true }),
+        height: number({ min: 1, integer: true }),
+        frameRate: nullable(number({ min: 1 }))
+    })),
+    isVerticallyFlipped: boolean(),
+    isHorizontallyFlipped: boolean(),
+    customModel: nullable(shape({ name: string(), sidecar: nullable(object()) })),
+    executionProvider: oneOf(['auto', 'webgpu', 'webgl', 'wasm']),
+    wasmThreads: number({ min: 0, max: 64, integer: true }),
+    // Missing destination fields come from a new destination
+    destinations: list((value, fallback, context, path) => {
+        if (!isPlainObject(value)) {
+            context.report(`${path}: ${describe(value)} is not a destination, removed`);
+            return undefined;
+        }
+        return destination(value, createDestination(), context, path);
+    }),
+    websocketServer: shape({
+        enabled: boolean(),
+        port: number({ min: 1, max: 65535, integer: true }),
+        json: boolean(),
+        osc: boolean(),
+        includeRaw: boolean(),
+        lan: boolean(),
+        allowedOrigins: list((value, fallback, context, path) => {
+            if (isValidOrigin(value)) return value;
+            context.report(`${path}: ${describe(value)} is not an origin, removed`);
+            return undefined;
+        })
+    }),
+    oscInput: shape({
+        enabled: boolean(),
+        port: number({ min: 1, max: 65535, integer: true }),
+        lan: boolean()
+    }),
+    oscMode: oneOf(['messages', 'bundle']),
+    outputMode: oneOf(['blendshapes', 'unified']),
+    unifiedBinaryBits: number({ min: 0, max: 8, integer: true }),
+    unifiedBinaryParameters: list(string()),
+    derivedOutputs: list(shape({ name: string(), expression: string() })),
+    derivedOutputMode: oneOf(Object.keys(DERIVED_OUTPUT_MODES)),
+    outputMapping: shape({
+        preset: oneOf(Object.keys(ADDRESS_PRESETS)),
+        prefix: (value, fallback, context, path) =>
+            typeof value === 'string' && value.startsWith('/') ? value : context.repair(path, value, fallback),
+        addresses: record(address())
+    }),
+    filterChain: filterChain(),
+    isFilterEnabled: boolean(),
+    calibrationToggleEnabled: boolean(),
+    blendshapeRanges: record(range),
+    isCalibrated: boolean(),
+    calibrationPercentiles: shape(
+        { low: number({ min: 0, max: 100 }), high: number({ min: 0, max: 100 }) },
+        ({ low, high }) => low < high
+    ),
+    discardBadFrames: boolean(),
+    outputSettings: record(outputSettings()),
+    cropRect: shape({
+        x: number({ min: 0 }),
+        y: number({ min: 0 }),
+        width: number({ min: 1 }),
+        height: number({ min: 1 })
+    }),
+    activeProfile: string(),
+    targetFps: number({ min: 1, max: 240 })
+};
+
+// Profiles hold a subset of the fields, missing ones stay missing
+FIELDS.profiles = record((value, fallback, context, path) => {
+    if (!isPlainObject(value)) {
+        context.report(`${path}: ${describe(value)} is not a profile, removed`);
+        return undefined;
+    }
+    const profile = {};
+    PROFILE_KEYS.forEach(key => {
+        if (value[key] !== undefined) {
+            profile[key] = FIELDS[key](value[key], context.defaults[key], context, `${path}.${key}`);
+        }
+    });
+    return profile;
+});
+
+/**
+ * Bring a stored configuration up to date
+ * @param {Object} stored - Configuration as read from storage
+ * @param {Object} defaults - Default configuration
+ * @returns {{config: Object, repairs: string[]}} Complete configuration at CONFIG_VERSION and
+ *     one readable message per value that had to be replaced
+ */
+export function upgradeConfig(stored, defaults) {
+    const repairs = [];
+    const context = {
+        defaults,
+        report(message) {
+            repairs.push(message);
+        },
+        repair(path, value, fallback) {
+            const replacement = fallback === undefined ? 'removed' : `using ${describe(fallback)}`;
+            repairs.push(`${path}: ${describe(value)} is invalid, ${replacement}`);
+            return structuredClone(fallback);
+        }
+    };
+
+    let config = isPlainObject(stored) ? { ...stored } : {};
+    if (!isPlainObject(stored)) {
+        repairs.push(`Stored configuration is ${describe(stored)}, using defaults`);
+    }
+
+    const storedVersion = Number.isInteger(config.version) ? config.version : 1;
+    if (storedVersion > CONFIG_VERSION) {
+        repairs.push(`Configuration was saved by a newer version (${storedVersion}), unknown settings are ignored`);
+    }
+    MIGRATIONS
+        .filter(migration => migration.version > storedVersion)
+        .forEach(migration => {
+            config = migration.migrate(config);
+        });
+
+    const result = { version: CONFIG_VERSION };
+    Object.keys(defaults).forEach(key => {
+        const fallback = structuredClone(defaults[key]);
+        if (config[key] === undefined) {
+            result[key] = fallback;
+        } else if (FIELDS[key]) {
+            result[key] = FIELDS[key](config[key], fallback, context, key);
+        } else {
+            result[key] = config[key];
+        }
+    });
+    return { config: result, repairs };
+}
@@ -0,0 +1,118 @@
+import { load } from '@tauri-apps/plugin-store';
+
+/**
+ * Storage backends for ConfigStore. Every backend stores JSON-compatible values by key:
+ * initialize(), get(key) and set(key, value), where set() persists immediately.
+ */
+
+/**
+ * Tauri Store plugin, a JSON file in the app data directory
+ */
+export class TauriStoreBackend {
+    constructor(storePath) {
+        this.name = 'Tauri store';
+        this.storePath = storePath;
+        this.store = null;
+    }
+
+    async initialize() {
+        this.store = await load(this.storePath, { autoSave: false });
+    }
+
+    async get(key) {
+        return this.store.get(key);
+    }
+
+    async set(key, value) {
+        await this.store.set(key, value);
+        await this.store.save();
+    }
+}
+
+/**
+ * IndexedDB, used by the web build
+ */
+export class IndexedDBBackend {
+    constructor(dbName = 'blubber-config') {
+        this.name = 'IndexedDB';
+        this.dbName = dbName;
+        this.storeName = 'config';
+        this.db = null;
+    }
+
+    async initialize() {
+        this.db = await new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(this.storeName);
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async get(key) {
+        return this._transaction('readonly', store => store.get(key));
+    }
+
+    async set(key, value) {
+        await this._transaction('readwrite', store => store.put(value, key));
+    }
+
+    async _transaction(mode, operation) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+}
+
+/**
+ * localStorage, for browsers where IndexedDB is unavailable (e.g. some private modes)
+ */
+export class LocalStorageBackend {
+    constructor(prefix = 'blubber-config:') {
+        this.name = 'localStorage';
+        this.prefix = prefix;
+    }
+
+    async initialize() {
+        // Accessing localStorage throws when storage is disabled
+        window.localStorage.getItem(this.prefix);
+    }
+
+    async get(key) {
+        const value = window.localStorage.getItem(this.prefix + key);
+        return value === null ? undefined : JSON.parse(value);
+    }
+
+    async set(key, value) {
+        window.localStorage.setItem(this.prefix + key, JSON.stringify(value));
+    }
+}
+
+/**
+ * Pick the backend for the current environment: the Tauri store in the desktop app,
+ * otherwise IndexedDB with localStorage as fallback
+ * @param {string} storePath - File name of the Tauri store
+ * @returns {Promise<Object>} Initialized backend
+ */
+export async function createStorageBackend(storePath) {
+    const candidates = window.__TAURI__ !== undefined
+        ? [new TauriStoreBackend(storePath)]
+        : [new IndexedDBBackend(), new LocalStorageBackend()];
+
+    let lastError = null;
+    for (const backend of candidates) {
+        try {
+            await backend.initialize();
+            return backend;
+        } catch (error) {
+            console.warn(`Configuration storage ${backend.name} unavailable:`, error);
+            lastError = error;
+        }
+    }
+    throw lastError;
+}
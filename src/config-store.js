@@ -1,35 +1,77 @@
-import { load } from '@tauri-apps/plugin-store';
+import { createStorageBackend } from './config-storage.js';
+import { CONFIG_VERSION, upgradeConfig } from './config-schema.js';
+import { migrateFilterParams } from './filter-params.js';
+import { createOutputMapping } from './output-mapping.js';
+import { createDestination } from './destinations.js';
 
 /**
  * Configuration store for BabbleApp
- * Handles saving and loading user settings using Tauri Store plugin
+ * Handles saving and loading user settings using the Tauri Store plugin in the desktop app
+ * and IndexedDB or localStorage in the browser, see config-storage.js
  */
 export class ConfigStore {
     constructor() {
         this.store = null;
         this.storePath = 'babble-config.json';
+        // Messages about invalid stored values replaced on the last load, see config-schema.js
+        this.repairs = [];
         this.defaultConfig = {
             // Camera settings
             cameraSource: 'serial',
             selectedSerialPort: '',
+            networkCameraUrl: '',
+            selectedWebcamDeviceId: '',
+            webcamDeviceSettings: {},
             isVerticallyFlipped: false,
             isHorizontallyFlipped: false,
             
-            // OSC settings
-            udpPort: 8888,
-            
-            // Filter parameters
-            filterParams: {
-                minCutoff: 3.0,
-                beta: 0.9,
-                dCutoff: 1.0
+            // Custom model ({ name, sidecar }), null for the built-in model
+            customModel: null,
+
+            // Inference runtime: 'auto', 'webgpu', 'webgl' or 'wasm', and WASM threads (0 = automatic)
+            executionProvider: 'auto',
+            wasmThreads: 0,
+
+            // Output destinations, see destinations.js
+            destinations: [createDestination()],
+            // Desktop app only: WebSocket server broadcasting every frame as JSON text and/or OSC
+            // binary messages to any number of clients, alongside the destinations. It only accepts
+            // clients on this PC unless lan is set, and web pages only if local or in allowedOrigins
+            websocketServer: {
+                enabled: false, port: 8890, json: true, osc: false, includeRaw: false, lan: false, allowedOrigins: []
             },
+            // Desktop app only: UDP port for /blubber/... OSC remote control commands, lan also
+            // accepts them from other devices instead of only from this PC
+            oscInput: { enabled: false, port: 8884, lan: false },
+            // oscMode 'messages' sends one OSC message per blendshape, 'bundle' one timetagged bundle per frame
+            oscMode: 'messages',
+            // 'blendshapes' sends Babble's blendshapes, 'unified' translates them to Unified Expressions
+            // avatar parameters, optionally also binary encoded, see unified-expressions.js
+            outputMode: 'blendshapes',
+            unifiedBinaryBits: 0,
+            unifiedBinaryParameters: [],
+
+            // Parameters computed from the blendshapes ({ name, expression }) and how they are sent, see derived-outputs.js
+            derivedOutputs: [],
+            derivedOutputMode: 'alongside',
+
+            // OSC address of each blendshape, see output-mapping.js
+            outputMapping: createOutputMapping(),
+            
+            // Filter stages applied in order, see filter-params.js
+            filterChain: migrateFilterParams(),
             isFilterEnabled: true,
             
             // Calibration settings
             calibrationToggleEnabled: true,
             blendshapeRanges: {},
             isCalibrated: false,
+            // Percentiles of the recorded values used as range ends, and whether flagged frames are left out
+            calibrationPercentiles: { low: 2, high: 98 },
+            discardBadFrames: true,
+
+            // Per-blendshape output gain, offset, deadzone, clamp and curve, see output-stage.js
+            outputSettings: {},
             
             // Crop rectangle
             cropRect: {
@@ -39,6 +81,10 @@ export class ConfigStore {
                 height: 224
             },
             
+            // Named profiles (see profiles.js); the live settings above belong to activeProfile
+            profiles: {},
+            activeProfile: 'Default',
+
             // Performance settings
             targetFps: 90
         };
@@ -49,8 +95,8 @@ export class ConfigStore {
      */
     async initialize() {
         try {
-            this.store = await load(this.storePath, { autoSave: false });
-            console.log('Configuration store initialized');
+            this.store = await createStorageBackend(this.storePath);
+            console.log(`Configuration store initialized (${this.store.name})`);
         } catch (error) {
             console.error('Failed to initialize configuration store:', error);
             throw error;
@@ -67,21 +113,33 @@ export class ConfigStore {
         }
 
         try {
-            const config = await this.store.get('config');
-            if (config) {
+            const stored = await this.store.get('config');
+            if (stored) {
                 console.log('Configuration loaded from store');
-                // Merge with defaults to ensure new properties are included
-                return { ...this.defaultConfig, ...config };
+                // Migrate to the current version, validate every field and merge with defaults
+                const { config, repairs } = upgradeConfig(stored, this.defaultConfig);
+                this.repairs = repairs;
+                repairs.forEach(message => console.warn(`Configuration repaired: ${message}`));
+                return config;
             } else {
                 console.log('No existing configuration found, using defaults');
-                return { ...this.defaultConfig };
+                this.repairs = [];
+                return this.getDefaultConfig();
             }
         } catch (error) {
             console.error('Failed to load configuration:', error);
-            return { ...this.defaultConfig };
+            return this.getDefaultConfig();
         }
     }
 
+    /**
+     * Fresh copy of the defaults
+     * @returns {Object} Configuration object
+     */
+    getDefaultConfig() {
+        return { version: CONFIG_VERSION, ...structuredClone(this.defaultConfig) };
+    }
+
     /**
      * Save configuration to store
      * @param {Object} config - Configuration object to save
@@ -92,8 +150,7 @@ export class ConfigStore {
         }
 
         try {
-            await this.store.set('config', config);
-            await this.store.save();
+            await this.store.set('config', { ...config, version: CONFIG_VERSION });
             console.log('Configuration saved to store');
         } catch (error) {
             console.error('Failed to save configuration:', error);
@@ -124,7 +181,7 @@ export class ConfigStore {
     /**
      * Helper method to get nested object values using dot notation
      * @param {Object} obj - Object to search
-     * @param {string} path - Dot-separated path (e.g., 'filterParams.minCutoff')
+     * @param {string} path - Dot-separated path (e.g., 'cropRect.width')
      * @returns {any} Value at path
      */
     getNestedValue(obj, path) {
@@ -134,7 +191,7 @@ export class ConfigStore {
     /**
      * Helper method to set nested object values using dot notation
      * @param {Object} obj - Object to modify
-     * @param {string} path - Dot-separated path (e.g., 'filterParams.minCutoff')
+     * @param {string} path - Dot-separated path (e.g., 'cropRect.width')
      * @param {any} value - Value to set
      */
     setNestedValue(obj, path, value) {
@@ -153,7 +210,7 @@ export class ConfigStore {
      * Reset configuration to defaults
      */
     async resetConfig() {
-        await this.saveConfig({ ...this.defaultConfig });
+        await this.saveConfig(this.getDefaultConfig());
         console.log('Configuration reset to defaults');
     }
 }
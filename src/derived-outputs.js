@@ -0,0 +1,266 @@
+/**
+ * Derived outputs: extra parameters computed every frame from the calibrated blendshapes,
+ * e.g. { name: 'JawX', expression: 'jawRight - jawLeft' }.
+ * Expressions support numbers, blendshape names (and names of earlier derived outputs),
+ * + - * /, parentheses and the functions min(...), max(...), abs(x) and clamp(x, low, high).
+ */
+
+export const DERIVED_OUTPUT_MODES = {
+    alongside: 'Send alongside the blendshapes',
+    replace: 'Replace the blendshapes they use',
+    only: 'Send only derived outputs'
+};
+
+const FUNCTIONS = {
+    min: { minArgs: 1, apply: args => Math.min(...args) },
+    max: { minArgs: 1, apply: args => Math.max(...args) },
+    abs: { minArgs: 1, maxArgs: 1, apply: ([x]) => Math.abs(x) },
+    clamp: { minArgs: 1, maxArgs: 3, apply: ([x, low = 0, high = 1]) => Math.max(low, Math.min(high, x)) }
+};
+
+const NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+/**
+ * Split an expression into number, name and symbol tokens
+ * @param {string} text - Expression
+ * @returns {Array<{type: string, value: string|number, position: number}>}
+ */
+function tokenize(text) {
+    const tokens = [];
+    const pattern = /\s*(?:(\d+\.?\d*|\.\d+)|([A-Za-z_][A-Za-z0-9_]*)|(\S))/y;
+    let match;
+    while (pattern.lastIndex < text.length && (match = pattern.exec(text))) {
+        const position = match.index + match[0].length - (match[1] || match[2] || match[3] || '').length;
+        if (match[1]) {
+            tokens.push({ type: 'number', value: parseFloat(match[1]), position });
+        } else if (match[2]) {
+            tokens.push({ type: 'name', value: match[2], position });
+        } else if (match[3]) {
+            if (!'+-*/(),'.includes(match[3])) {
+                throw new Error(`Unexpected "${match[3]}" at position ${position + 1}`);
+            }
+            tokens.push({ type: 'symbol', value: match[3], position });
+        }
+    }
+    return tokens;
+}
+
+/**
+ * Parse an expression into a tree of nodes:
+ * { type: 'number', value }, { type: 'name', name }, { type: 'negate', operand },
+ * { type: 'binary', operator, left, right } and { type: 'call', name, args }
+ * @param {string} text - Expression
+ * @throws {Error} With a readable message on syntax errors
+ */
+export function parseExpression(text) {
+    const tokens = tokenize(text);
+    let index = 0;
+
+    const peek = () => tokens[index];
+    const describe = token => token ? `"${token.value}" at position ${token.position + 1}` : 'end of expression';
+    const expect = symbol => {
+        const token = tokens[index++];
+        if (token?.type !== 'symbol' || token.value !== symbol) {
+            throw new Error(`Expected "${symbol}" but found ${describe(token)}`);
+        }
+    };
+    const isSymbol = (...symbols) => peek()?.type === 'symbol' && symbols.includes(peek().value);
+
+    const parseSum = () => {
+        let node = parseProduct();
+        while (isSymbol('+', '-')) {
+            const operator = tokens[index++].value;
+            node = { type: 'binary', operator, left: node, right: parseProduct() };
+        }
+        return node;
+    };
+
+    const parseProduct = () => {
+        let node = parseUnary();
+        while (isSymbol('*', '/')) {
+            const operator = tokens[index++].value;
+            node = { type: 'binary', operator, left: node, right: parseUnary() };
+        }
+        return node;
+    };
+
+    const parseUnary = () => {
+        if (isSymbol('-')) {
+            index++;
+            return { type: 'negate', operand: parseUnary() };
+        }
+        return parsePrimary();
+    };
+
+    const parsePrimary = () => {
+        const token = tokens[index++];
+        if (token?.type === 'number') {
+            return { type: 'number', value: token.value };
+        }
+        if (token?.type === 'name') {
+            if (!isSymbol('(')) {
+                return { type: 'name', name: token.value };
+            }
+            const fn = FUNCTIONS[token.value];
+            if (!fn) {
+                throw new Error(`Unknown function "${token.value}", use ${Object.keys(FUNCTIONS).join(', ')}`);
+            }
+            expect('(');
+            const args = [parseSum()];
+            while (isSymbol(',')) {
+                index++;
+                args.push(parseSum());
+            }
+            expect(')');
+            if (args.length < fn.minArgs || args.length > (fn.maxArgs ?? Infinity)) {
+                throw new Error(`Wrong number of arguments for ${token.value}()`);
+            }
+            return { type: 'call', name: token.value, args };
+        }
+        if (token?.type === 'symbol' && token.value === '(') {
+            const node = parseSum();
+            expect(')');
+            return node;
+        }
+        throw new Error(`Unexpected ${describe(token)}`);
+    };
+
+    if (tokens.length === 0) {
+        throw new Error('Expression is empty');
+    }
+    const tree = parseSum();
+    if (index < tokens.length) {
+        throw new Error(`Unexpected ${describe(tokens[index])}`);
+    }
+    return tree;
+}
+
+/**
+ * Names an expression tree reads
+ * @param {Object} node - Parsed expression
+ * @param {Set<string>} names - Collected names
+ */
+function collectNames(node, names = new Set()) {
+    switch (node.type) {
+        case 'name':
+            names.add(node.name);
+            break;
+        case 'negate':
+            collectNames(node.operand, names);
+            break;
+        case 'binary':
+            collectNames(node.left, names);
+            collectNames(node.right, names);
+            break;
+        case 'call':
+            node.args.forEach(arg => collectNames(arg, names));
+            break;
+    }
+    return names;
+}
+
+function evaluateNode(node, values) {
+    switch (node.type) {
+        case 'number':
+            return node.value;
+        case 'name':
+            return values.get(node.name);
+        case 'negate':
+            return -evaluateNode(node.operand, values);
+        case 'binary': {
+            const left = evaluateNode(node.left, values);
+            const right = evaluateNode(node.right, values);
+            switch (node.operator) {
+                case '+': return left + right;
+                case '-': return left - right;
+                case '*': return left * right;
+                default: return right === 0 ? 0 : left / right;
+            }
+        }
+        case 'call':
+            return FUNCTIONS[node.name].apply(node.args.map(arg => evaluateNode(arg, values)));
+    }
+    return 0;
+}
+
+/**
+ * Check and parse derived output definitions. Definitions with errors are kept with their
+ * error message and evaluate to nothing.
+ * @param {Array<{name: string, expression: string}>} definitions - Derived outputs in order
+ * @param {string[]} names - Blendshape names
+ * @returns {Array<{name: string, tree: Object|null, inputs: string[], error: string|null}>}
+ */
+export function compileDerivedOutputs(definitions, names) {
+    const known = new Set(names);
+    return definitions.map(({ name, expression }) => {
+        const output = { name, tree: null, inputs: [], error: null };
+        try {
+            if (!NAME_PATTERN.test(name)) {
+                throw new Error('Name must start with a letter and contain only letters, digits and _');
+            }
+            if (known.has(name)) {
+                throw new Error(`"${name}" is already used`);
+            }
+            output.tree = parseExpression(expression);
+            output.inputs = [...collectNames(output.tree)];
+            const unknown = output.inputs.find(input => !known.has(input));
+            if (unknown) {
+                output.tree = null;
+                throw new Error(`Unknown blendshape "${unknown}"`);
+            }
+        } catch (error) {
+            output.error = error.message;
+        }
+        // Later outputs may use this one, even if it has errors they will show their own
+        known.add(name);
+        return output;
+    });
+}
+
+/**
+ * Evaluate the derived outputs for one frame
+ * @param {Array} compiled - Result of compileDerivedOutputs
+ * @param {string[]} names - Blendshape names
+ * @param {ArrayLike<number>} values - Blendshape values in names order
+ * @returns {Float32Array} Derived values in compiled order, NaN for outputs with errors
+ */
+export function evaluateDerivedOutputs(compiled, names, values) {
+    const scope = new Map(names.map((name, index) => [name, values[index]]));
+    const results = new Float32Array(compiled.length);
+    compiled.forEach((output, index) => {
+        const value = output.tree ? evaluateNode(output.tree, scope) : NaN;
+        results[index] = value;
+        scope.set(output.name, value);
+    });
+    return results;
+}
+
+/**
+ * Put blendshapes and derived outputs together for sending
+ * @param {string[]} names - Blendshape names
+ * @param {ArrayLike<number>} values - Blendshape values
+ * @param {Array} compiled - Result of compileDerivedOutputs
+ * @param {Float32Array} derivedValues - Result of evaluateDerivedOutputs
+ * @param {string} mode - Key of DERIVED_OUTPUT_MODES
+ * @returns {{names: string[], values: number[]}}
+ */
+export function combineOutputs(names, values, compiled, derivedValues, mode) {
+    const valid = compiled.filter(output => output.tree);
+    const used = new Set(mode === 'replace' ? valid.flatMap(output => output.inputs) : []);
+    const result = { names: [], values: [] };
+    if (mode !== 'only') {
+        names.forEach((name, index) => {
+            if (!used.has(name)) {
+                result.names.push(name);
+                result.values.push(values[index]);
+            }
+        });
+    }
+    compiled.forEach((output, index) => {
+        if (output.tree && Number.isFinite(derivedValues[index])) {
+            result.names.push(output.name);
+            result.values.push(derivedValues[index]);
+        }
+    });
+    return result;
+}
@@ -0,0 +1,58 @@
+/**
+ * Output destinations: { id, host, port, format, includeRaw, enabled }. The desktop app sends
+ * UDP datagrams to each enabled destination, the web build opens one WebSocket per
+ * destination (e.g. to a WebSocket-to-UDP bridge). format is 'osc' or 'json' (see
+ * json-output.js); includeRaw adds raw and filtered values to JSON frames.
+ */
+
+export const DESTINATION_FORMATS = {
+    osc: 'OSC',
+    json: 'JSON'
+};
+
+/**
+ * @param {Object} overrides - Fields to set
+ */
+export function createDestination(overrides = {}) {
+    return {
+        id: `destination-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+        host: '127.0.0.1',
+        port: 8888,
+        format: 'osc',
+        includeRaw: false,
+        enabled: true,
+        ...overrides
+    };
+}
+
+/**
+ * Tell whether a string has the format of the ids createDestination makes, letters, digits, - and _
+ * @param {string} id - Id to check
+ */
+export function isValidDestinationId(id) {
+    return typeof id === 'string' && /^[A-Za-z0-9_-]{1,64}$/.test(id);
+}
+
+/**
+ * Tell whether a string looks like a host name, IPv4 or IPv6 address
+ * @param {string} host - Host to check
+ */
+export function isValidHost(host) {
+    return typeof host === 'string' && /^(\[?[0-9a-fA-F:.]+\]?|[A-Za-z0-9]([A-Za-z0-9-]*[A-Za-z0-9])?(\.[A-Za-z0-9]([A-Za-z0-9-]*[A-Za-z0-9])?)*)$/.test(host);
+}
+
+/**
+ * Tell whether a string is a web page origin such as "https://overlay.example" or "http://192.168.1.5:8080"
+ * @param {string} origin - Origin to check
+ */
+export function isValidOrigin(origin) {
+    return typeof origin === 'string' && /^[a-z][a-z0-9+.-]*:\/\/[^\s/]+$/i.test(origin);
+}
+
+/**
+ * Short label, e.g. "127.0.0.1:8888"
+ * @param {Object} destination - Destination
+ */
+export function describeDestination(destination) {
+    return `${destination.host}:${destination.port}`;
+}
@@ -0,0 +1,299 @@
+import { JpegStreamParser } from './jpeg-stream-parser.js';
+import { decodeJpeg, getImageSize, releaseImage } from './frame-decoder.js';
+
+/**
+ * Camera source that replays a recorded video file (MP4/WebM)
+ * or a raw capture of concatenated JPEG frames, as sent by the serial cameras
+ */
+export class FileCamera {
+    constructor(options = {}) {
+        this.file = null;
+        this.mode = null; // 'video' or 'jpeg'
+        this.videoElement = document.createElement('video');
+        this.videoElement.playsInline = true;
+        this.videoElement.muted = true;
+        this.videoUrl = null;
+        this.jpegFrames = [];
+        this.isConnected = false;
+        this.isPlaying = false;
+        this.loop = true;
+        this.playbackRate = 1.0;
+        this.lastFrameTime = Date.now();
+        this.fps = 0;
+        this.frameNumber = 0;
+        this.eventListeners = new Map();
+        this.latestFrame = null;
+
+        // Playback clock for raw JPEG captures
+        this.playheadTime = 0;
+        this.lastTick = null;
+        this.currentJpegIndex = -1;
+
+        this.options = {
+            // Raw JPEG captures carry no timing, so they are replayed at a fixed rate
+            jpegFps: 60,
+            ...options
+        };
+
+        this.videoElement.addEventListener('ended', () => {
+            this.isPlaying = false;
+            this._emit('ended');
+        });
+    }
+
+    /**
+     * Load a recording
+     * @param {File} file - Video file or raw JPEG capture
+     * @returns {Promise<boolean>} Whether the file could be loaded
+     */
+    async requestPort(file = null) {
+        try {
+            if (!file) {
+                throw new Error('No file selected');
+            }
+            this._releaseFile();
+            this.file = file;
+
+            if (FileCamera.isVideoFile(file)) {
+                this.mode = 'video';
+                this.videoUrl = URL.createObjectURL(file);
+                this.videoElement.src = this.videoUrl;
+                await new Promise((resolve, reject) => {
+                    this.videoElement.onloadedmetadata = resolve;
+                    this.videoElement.onerror = () => reject(new Error(`Cannot play ${file.name}`));
+                });
+            } else {
+                this.mode = 'jpeg';
+                const parser = new JpegStreamParser({ maxBufferSize: Infinity });
+                this.jpegFrames = parser.push(await file.arrayBuffer());
+                if (this.jpegFrames.length === 0) {
+                    throw new Error(`No JPEG frames found in ${file.name}`);
+                }
+            }
+            console.log(`Loaded ${file.name} (${this.mode}, ${this.duration.toFixed(1)}s)`);
+            return true;
+        } catch (err) {
+            console.error('Failed to load recording:', err);
+            this._releaseFile();
+            this._emit('error', err);
+            return false;
+        }
+    }
+
+    static isVideoFile(file) {
+        return file.type.startsWith('video/') || /\.(mp4|webm|mkv|mov)$/i.test(file.name);
+    }
+
+    async connect() {
+        if (!this.mode) {
+            throw new Error('No recording loaded. Call requestPort() first.');
+        }
+        this.isConnected = true;
+        this.seek(0);
+        await this.play();
+        this._emit('connected');
+        return true;
+    }
+
+    async disconnect() {
+        this.pause();
+        this._releaseFile();
+        this.isConnected = false;
+        this._emit('disconnected');
+    }
+
+    /**
+     * Playback duration in seconds
+     */
+    get duration() {
+        if (this.mode === 'video') {
+            return this.videoElement.duration || 0;
+        }
+        return this.jpegFrames.length / this.options.jpegFps;
+    }
+
+    /**
+     * Current playback position in seconds
+     */
+    get currentTime() {
+        if (this.mode === 'video') {
+            return this.videoElement.currentTime;
+        }
+        return this.playheadTime;
+    }
+
+    async play() {
+        if (this.mode === 'video') {
+            // Restart from the beginning if playback had ended
+            if (this.videoElement.ended) {
+                this.videoElement.currentTime = 0;
+            }
+            await this.videoElement.play();
+        } else if (this.playheadTime >= this.duration) {
+            this.playheadTime = 0;
+        }
+        this.lastTick = performance.now();
+        this.isPlaying = true;
+    }
+
+    pause() {
+        if (this.mode === 'video') {
+            this.videoElement.pause();
+        }
+        this._advanceClock();
+        this.isPlaying = false;
+    }
+
+    /**
+     * Seek to a position
+     * @param {number} seconds - Position in seconds
+     */
+    seek(seconds) {
+        const time = Math.max(0, Math.min(seconds, this.duration));
+        if (this.mode === 'video') {
+            this.videoElement.currentTime = time;
+        } else {
+            this.playheadTime = time;
+            this.lastTick = performance.now();
+        }
+    }
+
+    setLoop(loop) {
+        this.loop = loop;
+        this.videoElement.loop = loop;
+    }
+
+    setPlaybackRate(rate) {
+        this._advanceClock();
+        this.playbackRate = rate;
+        this.videoElement.playbackRate = rate;
+    }
+
+    on(event, callback) {
+        if (!this.eventListeners.has(event)) {
+            this.eventListeners.set(event, new Set());
+        }
+        this.eventListeners.get(event).add(callback);
+    }
+
+    off(event, callback) {
+        if (this.eventListeners.has(event)) {
+            this.eventListeners.get(event).delete(callback);
+        }
+    }
+
+    _emit(event, ...args) {
+        if (this.eventListeners.has(event)) {
+            for (const callback of this.eventListeners.get(event)) {
+                callback(...args);
+            }
+        }
+    }
+
+    _releaseFile() {
+        if (this.videoUrl) {
+            this.videoElement.removeAttribute('src');
+            this.videoElement.load();
+            URL.revokeObjectURL(this.videoUrl);
+            this.videoUrl = null;
+        }
+        if (this.mode === 'jpeg') {
+            releaseImage(this.latestFrame?.image);
+        }
+        this.file = null;
+        this.mode = null;
+        this.jpegFrames = [];
+        this.latestFrame = null;
+        this.currentJpegIndex = -1;
+        this.playheadTime = 0;
+    }
+
+    /**
+     * Move the raw JPEG playhead forward by the wall-clock time since the last tick
+     */
+    _advanceClock() {
+        if (this.mode !== 'jpeg' || !this.isPlaying) return;
+
+        const now = performance.now();
+        this.playheadTime += (now - this.lastTick) / 1000 * this.playbackRate;
+        this.lastTick = now;
+
+        if (this.playheadTime >= this.duration) {
+            if (this.loop) {
+                this.playheadTime %= this.duration;
+            } else {
+                this.playheadTime = this.duration;
+                this.isPlaying = false;
+                this._emit('ended');
+            }
+        }
+    }
+
+    _updateFps(currentTime) {
+        const deltaTime = (currentTime - this.lastFrameTime) / 1000;
+        this.lastFrameTime = currentTime;
+
+        // Exponential moving average for FPS
+        const currentFps = deltaTime > 0 ? 1 / deltaTime : 0;
+        this.fps = 0.02 * currentFps + 0.98 * this.fps;
+
+        this.frameNumber++;
+    }
+
+    async getFrame() {
+        if (!this.isConnected || !this.mode) {
+            return null;
+        }
+
+        const currentTime = Date.now();
+
+        if (this.mode === 'jpeg') {
+            this._advanceClock();
+            const index = Math.min(
+                Math.floor(this.playheadTime * this.options.jpegFps),
+                this.jpegFrames.length - 1
+            );
+            // Only decode a new image when the playhead moved to another frame
+            if (index !== this.currentJpegIndex) {
+                this.currentJpegIndex = index;
+                this._updateFps(currentTime);
+
+                const jpegBuffer = this.jpegFrames[index];
+                try {
+                    const image = await decodeJpeg(jpegBuffer);
+                    releaseImage(this.latestFrame?.image);
+                    this.latestFrame = {
+                        image,
+                        ...getImageSize(image),
+                        imageData: jpegBuffer,
+                        frameNumber: this.frameNumber,
+                        fps: this.fps,
+                        timestamp: currentTime
+                    };
+                } catch (err) {
+                    console.error('Error decoding frame:', err);
+                    this._emit('frameError', err);
+                }
+            }
+            this._emit('timeupdate', this.currentTime, this.duration);
+            return this.latestFrame;
+        }
+
+        if (this.videoElement.readyState < 2) {
+            return this.latestFrame;
+        }
+        this._updateFps(currentTime);
+
+        // The video element is drawn directly by the consumer
+        this.latestFrame = {
+            image: this.videoElement,
+            ...getImageSize(this.videoElement),
+            imageData: null,
+            frameNumber: this.frameNumber,
+            fps: this.fps,
+            timestamp: currentTime
+        };
+        this._emit('timeupdate', this.currentTime, this.duration);
+        return this.latestFrame;
+    }
+}
@@ -0,0 +1,35 @@
+import { OneEuroFilter } from './one-euro-filter.js';
+import { ExponentialMovingAverageFilter, MedianFilter, DeadzoneFilter, KalmanFilter } from './filters.js';
+import { getDefaultFilterParams } from './filter-params.js';
+
+const FILTER_FACTORIES = {
+    oneEuro: params => new OneEuroFilter(params.minCutoff, params.beta, params.dCutoff),
+    ema: params => new ExponentialMovingAverageFilter(params.alpha),
+    median: params => new MedianFilter(params.windowSize),
+    deadzone: params => new DeadzoneFilter(params.threshold),
+    kalman: params => new KalmanFilter(params.processNoise, params.measurementNoise)
+};
+
+/**
+ * Runs every value (e.g. blendshape) through its own chain of filter stages
+ */
+export class MultiFilterChain {
+    /**
+     * @param {Array<{type: string, paramList: Array<Object>}>} stages - Resolved stages in order, see resolveFilterChain()
+     * @param {number} size - Number of values, values without parameters use the stage defaults
+     */
+    constructor(stages, size) {
+        this.size = size;
+        this.chains = Array.from({ length: size }, (_, index) =>
+            stages.map(stage =>
+                FILTER_FACTORIES[stage.type](stage.paramList[index] || getDefaultFilterParams(stage.type))
+            )
+        );
+    }
+
+    filter(values, timestamp = null) {
+        return values.map((value, index) =>
+            this.chains[index].reduce((x, stage) => stage.filter(x, timestamp), value)
+        );
+    }
+}
@@ -0,0 +1,171 @@
+/**
+ * Filter chain configuration, shared by the UI and the model worker.
+ * The chain is a list of stages applied in order to every blendshape:
+ * { type: 'oneEuro', enabled: true, params: { minCutoff, beta, dCutoff },
+ *   groups: { jaw: { beta } }, blendshapes: { jawOpen: { minCutoff } } }
+ * groups and blendshapes hold optional partial overrides of the stage's params.
+ */
+
+// Blendshape groups that can share filter settings, matched by name prefix
+export const FILTER_GROUPS = ['cheek', 'jaw', 'nose', 'mouth', 'tongue'];
+
+// Available stage types with their parameters and slider ranges
+export const FILTER_TYPES = {
+    oneEuro: {
+        label: 'One Euro',
+        params: {
+            minCutoff: { label: 'Min Cutoff', min: 0.1, max: 10.0, step: 0.1, default: 3.0 },
+            beta: { label: 'Beta', min: 0.1, max: 1.0, step: 0.01, default: 0.9 },
+            dCutoff: { label: 'D Cutoff', min: 0.1, max: 5.0, step: 0.1, default: 1.0 }
+        }
+    },
+    ema: {
+        label: 'Moving Average',
+        params: {
+            alpha: { label: 'Alpha', min: 0.01, max: 1.0, step: 0.01, default: 0.5 }
+        }
+    },
+    median: {
+        label: 'Median',
+        params: {
+            windowSize: { label: 'Window', min: 1, max: 15, step: 2, default: 5 }
+        }
+    },
+    deadzone: {
+        label: 'Deadzone',
+        params: {
+            threshold: { label: 'Threshold', min: 0.0, max: 0.2, step: 0.005, default: 0.02 }
+        }
+    },
+    kalman: {
+        label: 'Kalman',
+        params: {
+            processNoise: { label: 'Process Noise', min: 1, max: 500, step: 1, default: 50 },
+            measurementNoise: { label: 'Measurement Noise', min: 0.0001, max: 0.01, step: 0.0001, default: 0.001 }
+        }
+    }
+};
+
+/**
+ * Get the default parameters of a stage type
+ * @param {string} type - Key of FILTER_TYPES
+ * @returns {Object} Parameter values
+ */
+export function getDefaultFilterParams(type) {
+    const params = {};
+    Object.entries(FILTER_TYPES[type].params).forEach(([key, spec]) => {
+        params[key] = spec.default;
+    });
+    return params;
+}
+
+/**
+ * Create a stage with default parameters and no overrides
+ * @param {string} type - Key of FILTER_TYPES
+ */
+export function createFilterStage(type) {
+    return {
+        type,
+        enabled: true,
+        params: getDefaultFilterParams(type),
+        groups: {},
+        blendshapes: {}
+    };
+}
+
+/**
+ * Turn the One Euro settings of older configurations into a filter chain
+ * @param {Object} filterParams - { minCutoff, beta, dCutoff } with optional groups and blendshapes overrides
+ * @returns {Array<Object>} Chain with a single One Euro stage
+ */
+export function migrateFilterParams(filterParams = {}) {
+    const { groups, blendshapes, ...params } = filterParams;
+    return [{
+        ...createFilterStage('oneEuro'),
+        params: { ...getDefaultFilterParams('oneEuro'), ...pickParams('oneEuro', params) },
+        groups: { ...groups },
+        blendshapes: { ...blendshapes }
+    }];
+}
+
+/**
+ * Deep copy a filter chain, e.g. before storing it
+ * @param {Array<Object>} chain - Filter chain
+ */
+export function cloneFilterChain(chain) {
+    return chain.map(stage => ({
+        ...stage,
+        params: { ...stage.params },
+        groups: Object.fromEntries(Object.entries(stage.groups || {}).map(([key, value]) => [key, { ...value }])),
+        blendshapes: Object.fromEntries(Object.entries(stage.blendshapes || {}).map(([key, value]) => [key, { ...value }]))
+    }));
+}
+
+/**
+ * Copy a stored chain, dropping stages of unknown types and filling in missing parameters
+ * @param {Array<Object>} chain - Filter chain as loaded from the configuration
+ */
+export function normalizeFilterChain(chain) {
+    if (!Array.isArray(chain)) {
+        return migrateFilterParams();
+    }
+    return cloneFilterChain(chain
+        .filter(stage => FILTER_TYPES[stage?.type])
+        .map(stage => ({
+            ...createFilterStage(stage.type),
+            ...stage,
+            params: { ...getDefaultFilterParams(stage.type), ...pickParams(stage.type, stage.params) }
+        })));
+}
+
+/**
+ * Get the filter group of a blendshape
+ * @param {string} name - Blendshape name
+ * @returns {string|null} Group name, or null if it belongs to no group
+ */
+export function getBlendshapeGroup(name) {
+    return FILTER_GROUPS.find(group => name.startsWith(group)) || null;
+}
+
+function pickParams(type, params) {
+    const picked = {};
+    if (!params) return picked;
+    Object.keys(FILTER_TYPES[type].params).forEach(key => {
+        if (typeof params[key] === 'number') {
+            picked[key] = params[key];
+        }
+    });
+    return picked;
+}
+
+/**
+ * Resolve the effective parameters of one blendshape in a stage:
+ * its own override wins over its group's override, which wins over the stage's params
+ * @param {Object} stage - Filter chain stage
+ * @param {string} name - Blendshape name
+ * @returns {Object} Parameter values
+ */
+export function resolveBlendshapeFilterParams(stage, name) {
+    const group = getBlendshapeGroup(name);
+    return {
+        ...getDefaultFilterParams(stage.type),
+        ...pickParams(stage.type, stage.params),
+        ...pickParams(stage.type, group && stage.groups?.[group]),
+        ...pickParams(stage.type, stage.blendshapes?.[name])
+    };
+}
+
+/**
+ * Resolve the enabled stages of a chain into per-blendshape parameter lists
+ * @param {Array<Object>} chain - Filter chain
+ * @param {string[]} names - Blendshape names in output order
+ * @returns {Array<{type: string, paramList: Array<Object>}>}
+ */
+export function resolveFilterChain(chain, names) {
+    return chain
+        .filter(stage => stage.enabled && FILTER_TYPES[stage.type])
+        .map(stage => ({
+            type: stage.type,
+            paramList: names.map(name => resolveBlendshapeFilterParams(stage, name))
+        }));
+}
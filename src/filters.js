@@ -0,0 +1,117 @@
+/**
+ * Additional single value filters for the filter chain, see filter-chain.js.
+ * Like OneEuroFilter they take one value (and a timestamp in seconds) per call.
+ */
+
+/**
+ * Exponential moving average, alpha 1 passes the input through unchanged
+ */
+export class ExponentialMovingAverageFilter {
+    constructor(alpha = 0.5) {
+        this.alpha = alpha;
+        this.value = null;
+    }
+
+    filter(x) {
+        if (this.value === null) {
+            this.value = x;
+            return x;
+        }
+        this.value = this.alpha * x + (1 - this.alpha) * this.value;
+        return this.value;
+    }
+}
+
+/**
+ * Median of the last N values, removes single frame spikes
+ */
+export class MedianFilter {
+    constructor(windowSize = 5) {
+        this.windowSize = Math.max(1, Math.round(windowSize));
+        this.window = [];
+    }
+
+    filter(x) {
+        this.window.push(x);
+        if (this.window.length > this.windowSize) {
+            this.window.shift();
+        }
+        const sorted = [...this.window].sort((a, b) => a - b);
+        const mid = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+    }
+}
+
+/**
+ * Deadzone with hysteresis: holds the output until the input moves more than
+ * threshold away from it, then jumps to the input. Removes jitter at rest without lag on real movement.
+ */
+export class DeadzoneFilter {
+    constructor(threshold = 0.02) {
+        this.threshold = threshold;
+        this.value = null;
+    }
+
+    filter(x) {
+        if (this.value === null || Math.abs(x - this.value) > this.threshold) {
+            this.value = x;
+        }
+        return this.value;
+    }
+}
+
+/**
+ * Kalman filter with a constant velocity model.
+ * processNoise is how much the velocity may change (acceleration), measurementNoise the variance of the input.
+ */
+export class KalmanFilter {
+    constructor(processNoise = 50, measurementNoise = 0.001) {
+        this.processNoise = processNoise;
+        this.measurementNoise = measurementNoise;
+        this.position = null;
+        this.velocity = 0;
+        // Symmetric state covariance [[p00, p01], [p01, p11]]
+        this.p00 = measurementNoise;
+        this.p01 = 0;
+        this.p11 = 1;
+        this.lastTime = null;
+    }
+
+    filter(x, timestamp = null) {
+        if (timestamp === null) {
+            timestamp = Date.now() / 1000.0;
+        }
+
+        if (this.position === null) {
+            this.position = x;
+            this.lastTime = timestamp;
+            return x;
+        }
+
+        const dt = timestamp - this.lastTime;
+        this.lastTime = timestamp;
+
+        // Sanity check
+        if (dt <= 0) return this.position;
+
+        // Predict
+        this.position += this.velocity * dt;
+        const q = this.processNoise;
+        const p00 = this.p00 + dt * (2 * this.p01 + dt * this.p11) + q * dt * dt * dt / 3;
+        const p01 = this.p01 + dt * this.p11 + q * dt * dt / 2;
+        const p11 = this.p11 + q * dt;
+
+        // Correct with the measurement
+        const s = p00 + this.measurementNoise;
+        const k0 = p00 / s;
+        const k1 = p01 / s;
+        const residual = x - this.position;
+        this.position += k0 * residual;
+        this.velocity += k1 * residual;
+        this.p00 = (1 - k0) * p00;
+        this.p01 = (1 - k0) * p01;
+        this.p11 = p11 - k1 * p01;
+
+        return this.position;
+    }
+}
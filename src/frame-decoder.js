@@ -0,0 +1,63 @@
+/**
+ * Helpers for the camera frame contract.
+ * Cameras hand out frames as { image, width, height, frameNumber, fps, timestamp }
+ * where image is an ImageBitmap, VideoFrame or <video> element that can be drawn directly.
+ */
+
+let imageDecoderSupport = null;
+
+async function canUseImageDecoder() {
+    if (imageDecoderSupport === null) {
+        try {
+            imageDecoderSupport = typeof ImageDecoder !== 'undefined' &&
+                await ImageDecoder.isTypeSupported('image/jpeg');
+        } catch {
+            imageDecoderSupport = false;
+        }
+    }
+    return imageDecoderSupport;
+}
+
+/**
+ * Decode a JPEG into a drawable image without a blob URL and an <img> element.
+ * Uses ImageDecoder (WebCodecs) when available, createImageBitmap otherwise.
+ * @param {Uint8Array} jpegBuffer - Complete JPEG image
+ * @returns {Promise<ImageBitmap|VideoFrame>} Decoded image, release it with releaseImage()
+ */
+export async function decodeJpeg(jpegBuffer) {
+    if (await canUseImageDecoder()) {
+        const decoder = new ImageDecoder({ data: jpegBuffer, type: 'image/jpeg' });
+        try {
+            const { image } = await decoder.decode();
+            return image;
+        } finally {
+            decoder.close();
+        }
+    }
+    return createImageBitmap(new Blob([jpegBuffer], { type: 'image/jpeg' }));
+}
+
+/**
+ * Get the pixel size of a drawable frame image
+ * @param {ImageBitmap|VideoFrame|HTMLVideoElement} image
+ * @returns {{width: number, height: number}}
+ */
+export function getImageSize(image) {
+    if (typeof VideoFrame !== 'undefined' && image instanceof VideoFrame) {
+        return { width: image.displayWidth, height: image.displayHeight };
+    }
+    if (image instanceof HTMLVideoElement) {
+        return { width: image.videoWidth, height: image.videoHeight };
+    }
+    return { width: image.width, height: image.height };
+}
+
+/**
+ * Free the memory held by a decoded frame image. Elements are left alone.
+ * @param {ImageBitmap|VideoFrame|HTMLVideoElement|null} image
+ */
+export function releaseImage(image) {
+    if (image && typeof image.close === 'function') {
+        image.close();
+    }
+}
@@ -0,0 +1,103 @@
+/**
+ * Splits a byte stream of concatenated JPEG images into individual frames.
+ * Uses the same start (FF D8 FF) / end (FF D9) marker scan as the serial cameras,
+ * so it also works for multipart MJPEG streams where the JPEGs are separated by headers.
+ */
+export class JpegStreamParser {
+    constructor(options = {}) {
+        this.options = {
+            maxBufferSize: 32768,
+            ...options
+        };
+        this.reset();
+    }
+
+    /**
+     * Append new data and extract all complete frames
+     * @param {Uint8Array|ArrayBuffer} newData - Bytes received from the stream
+     * @returns {Uint8Array[]} Complete JPEG frames found in the buffer
+     */
+    push(newData) {
+        const dataArray = newData instanceof Uint8Array ? newData : new Uint8Array(newData);
+        this._append(dataArray);
+
+        const frames = [];
+        while (this.start < this.length) {
+            if (!this.inFrame) {
+                // Find JPEG start marker (FF D8 FF), skipping anything before it
+                const startIndex = this._findSequence([0xFF, 0xD8, 0xFF], this.scanOffset);
+                if (startIndex === -1) {
+                    // Keep the last bytes, they may be the beginning of a marker
+                    this.start = Math.max(this.start, this.length - 2);
+                    this.scanOffset = this.start;
+                    break;
+                }
+                this.start = startIndex;
+                this.scanOffset = startIndex + 3;
+                this.inFrame = true;
+            }
+
+            // Find JPEG end marker (FF D9)
+            const endIndex = this._findSequence([0xFF, 0xD9], this.scanOffset);
+            if (endIndex === -1) {
+                // No end marker found, wait for more data and continue the scan where this one stopped
+                if (this.length - this.start >= this.options.maxBufferSize) {
+                    console.log(`Buffer too large (${this.length - this.start} bytes), discarding`);
+                    this.start = this.length;
+                    this.inFrame = false;
+                }
+                this.scanOffset = Math.max(this.start, this.length - 1);
+                break;
+            }
+
+            // Extract JPEG frame (including end marker), the bytes stay in the buffer until they are overwritten
+            frames.push(this.buffer.slice(this.start, endIndex + 2));
+            this.start = endIndex + 2;
+            this.scanOffset = this.start;
+            this.inFrame = false;
+        }
+        return frames;
+    }
+
+    reset() {
+        // Bytes before start are consumed, scanning resumes at scanOffset
+        this.buffer = new Uint8Array();
+        this.start = 0;
+        this.length = 0;
+        this.scanOffset = 0;
+        this.inFrame = false;
+    }
+
+    // Add data at the end, moving the unconsumed bytes to the front or growing the buffer if it is full
+    _append(data) {
+        if (this.length + data.length > this.buffer.length) {
+            const unconsumed = this.length - this.start;
+            if (unconsumed + data.length > this.buffer.length) {
+                const grown = new Uint8Array(Math.max(this.buffer.length * 2, unconsumed + data.length));
+                grown.set(this.buffer.subarray(this.start, this.length));
+                this.buffer = grown;
+            } else {
+                this.buffer.copyWithin(0, this.start, this.length);
+            }
+            this.scanOffset -= this.start;
+            this.length = unconsumed;
+            this.start = 0;
+        }
+        this.buffer.set(data, this.length);
+        this.length += data.length;
+    }
+
+    _findSequence(sequence, startFrom) {
+        for (let i = startFrom; i <= this.length - sequence.length; i++) {
+            let found = true;
+            for (let j = 0; j < sequence.length; j++) {
+                if (this.buffer[i + j] !== sequence[j]) {
+                    found = false;
+                    break;
+                }
+            }
+            if (found) return i;
+        }
+        return -1;
+    }
+}
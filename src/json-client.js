@@ -0,0 +1,93 @@
+// Wait before reconnecting a dropped connection, doubled after every failed attempt
+const RECONNECT_DELAY_MIN = 1000;
+const RECONNECT_DELAY_MAX = 30000;
+
+/**
+ * Sends JSON frames (see json-output.js) over a plain WebSocket, the web build's
+ * counterpart of a JSON-over-UDP destination. Reconnects until disconnect() is called.
+ */
+export class JsonClient {
+    constructor(port = 9000, host = 'localhost') {
+        this.host = host;
+        this.port = port;
+        this.socket = null;
+        this.isConnected = false;
+        this.reconnectDelay = RECONNECT_DELAY_MIN;
+        this.reconnectTimer = null;
+        // Why the socket is not open, empty while it is
+        this.error = 'Connecting...';
+        // Called with (isOpen, error) when the connection opens or fails
+        this.onStatus = null;
+    }
+
+    get isOpen() {
+        return this.socket?.readyState === WebSocket.OPEN;
+    }
+
+    async connect() {
+        this.isConnected = true;
+        this._open();
+    }
+
+    disconnect() {
+        if (!this.isConnected) return;
+        this.isConnected = false;
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        if (this.socket) {
+            this.socket.close();
+            this.socket = null;
+        }
+        console.log('JSON client disconnected');
+    }
+
+    /**
+     * @param {string} text - Serialized frame
+     */
+    send(text) {
+        if (!this.isOpen) return;
+        this.socket.send(text);
+    }
+
+    _open() {
+        console.log(`Connecting JSON client to ${this.host}:${this.port}...`);
+        let socket;
+        try {
+            socket = new WebSocket(`ws://${this.host}:${this.port}`);
+        } catch (err) {
+            console.error('Failed to connect JSON client:', err);
+            this._retry(err.message);
+            return;
+        }
+        this.socket = socket;
+        // Error events carry no details, the close event that follows reports the failure
+        let failed = false;
+        socket.onopen = () => {
+            this.reconnectDelay = RECONNECT_DELAY_MIN;
+            this.error = '';
+            this.onStatus?.(true, '');
+        };
+        socket.onerror = () => {
+            failed = true;
+        };
+        socket.onclose = (event) => {
+            // Closed by disconnect() or replaced by a newer socket
+            if (this.socket !== socket) return;
+            this.socket = null;
+            const reason = failed ? 'Cannot connect' : 'Connection closed';
+            this._retry(event.reason ? `${reason}: ${event.reason}` : `${reason} (code ${event.code})`);
+        };
+    }
+
+    _retry(error) {
+        if (!this.isConnected) return;
+        const delay = this.reconnectDelay;
+        this.reconnectDelay = Math.min(delay * 2, RECONNECT_DELAY_MAX);
+        this.error = `${error}, retrying in ${delay / 1000} s`;
+        this.onStatus?.(false, this.error);
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            if (this.isConnected) this._open();
+        }, delay);
+    }
+}
@@ -0,0 +1,30 @@
+/**
+ * JSON output format, one UDP datagram or WebSocket message per frame, as read by udp_listener.py:
+ * { frame, timestamp, data: { jawOpen: 0.5, ... }, raw: {...}, filtered: {...} }
+ * frame counts sent frames, timestamp is the capture time in milliseconds since the epoch,
+ * data holds the output values by name. raw (model output) and filtered (after the filter
+ * chain, before calibration) are only present for destinations that ask for them.
+ */
+
+/**
+ * @param {string[]} names - Names
+ * @param {ArrayLike<number>} values - Values in names order
+ * @returns {Object} Name → value
+ */
+export function toValueMap(names, values) {
+    const map = {};
+    names.forEach((name, index) => {
+        map[name] = values[index];
+    });
+    return map;
+}
+
+/**
+ * Serialize a frame for one destination
+ * @param {{frame: number, timestamp: number, data: Object, raw?: Object, filtered?: Object}} frame - Frame values
+ * @param {boolean} includeRaw - Keep raw and filtered values
+ * @returns {string} JSON text
+ */
+export function serializeJsonFrame({ frame, timestamp, data, raw, filtered }, includeRaw = false) {
+    return JSON.stringify(includeRaw ? { frame, timestamp, data, raw, filtered } : { frame, timestamp, data });
+}
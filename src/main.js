@@ -1,10 +1,24 @@
 import { WebSerialCamera } from './serial-camera';
 import { TauriSerialCamera } from './tauri-serial-camera';
 import { WebcamCamera } from './webcam-camera';
+import { NetworkCamera } from './network-camera.js';
+import { FileCamera } from './file-camera.js';
 import { OSCClient } from './osc-client.js';
+import { JsonClient } from './json-client.js';
+import { describeBridgeStatus, fetchBridgeStatus } from './bridge-status.js';
 import { BabbleModel } from './babble-model';
+import { ModelStorage } from './model-storage.js';
+import { CalibrationWizard } from './calibration-wizard.js';
+import { CalibrationRecorder } from './calibration-recorder.js';
+import { extractProfile, getUniqueProfileName, parseProfile, serializeProfile } from './profiles.js';
+import { CURVE_TYPES, applyOutputStage, createOutputSettings, evaluateCurve, getCurveInput, normalizeOutputSettings } from './output-stage.js';
+import { DERIVED_OUTPUT_MODES, combineOutputs, compileDerivedOutputs, evaluateDerivedOutputs } from './derived-outputs.js';
+import { UNIFIED_PARAMETERS, UNIFIED_PREFIX, createUnifiedParameters } from './unified-expressions.js';
+import { serializeJsonFrame, toValueMap } from './json-output.js';
+import { DESTINATION_FORMATS, createDestination, describeDestination, isValidHost, isValidOrigin } from './destinations.js';
+import { ADDRESS_PRESETS, createOutputMapping, getPresetAddress, isValidAddress, mapOutputValues } from './output-mapping.js';
+import { FILTER_GROUPS, FILTER_TYPES, cloneFilterChain, createFilterStage, getBlendshapeGroup, migrateFilterParams, normalizeFilterChain, resolveBlendshapeFilterParams } from './filter-params.js';
 import './style.css';
-import { MultiOneEuroFilter } from './one-euro-filter.js';
 import { ConfigStore } from './config-store.js';
 
 // for events: https://v2.tauri.app/develop/calling-rust/
@@ -12,7 +26,9 @@ import { listen, emit } from '@tauri-apps/api/event';
 // for commands
 // import { invoke } from '@tauri-apps/api/core';
 
-const modelUrl = window.__TAURI__ ? '/model.onnx' : '/blubber-web/model.onnx';
+// Built-in model, served from the public folder under the app's base path
+const modelUrl = `${import.meta.env.BASE_URL}model.onnx`;
+const CUSTOM_MODEL_KEY = 'custom';
 const IMAGE_SIZE = 224; // Model's required input size
 
 class BabbleApp {
@@ -40,14 +56,21 @@ class BabbleApp {
         }
 
         this.webcamCamera = new WebcamCamera();
+        this.networkCamera = new NetworkCamera();
+        this.networkCameraUrl = '';
+        this.fileCamera = new FileCamera();
+        this.selectedWebcamDeviceId = '';
+        this.webcamDeviceSettings = {};
+        this.isSeeking = false;
         this.activeCamera = null;
+        // Runs inference and the filter chain in a Web Worker
         this.model = new BabbleModel();
-        this.oneEuroFilter = new MultiOneEuroFilter(
-            BabbleModel.blendshapeNames.length,  // Size based on number of blendshapes
-            3.0,  // minCutoff (from original Babble settings)
-            0.9,  // beta (from original Babble settings)
-            1.0   // dCutoff
-        );
+        this.modelStorage = new ModelStorage();
+        // Custom model picked by the user ({ name, sidecar }), its bytes live in ModelStorage
+        this.customModel = null;
+        // Inference runtime settings, see BabbleModel.setRuntimeOptions()
+        this.executionProvider = 'auto';
+        this.wasmThreads = 0;
         this.isModelInitialized = false;
         this.targetFps = 90;
         this.frameInterval = 1000 / this.targetFps; // 60 FPS = 16.67ms between frames
@@ -57,12 +80,8 @@ class BabbleApp {
         this.isVerticallyFlipped = false;
         this.isHorizontallyFlipped = false;
 
-        // Filter parameters
-        this.filterParams = {
-            minCutoff: 3.0,
-            beta: 0.9,
-            dCutoff: 1.0
-        };
+        // Filter stages applied in order, see filter-params.js
+        this.filterChain = migrateFilterParams();
 
         // Filter state
         this.isFilterEnabled = true;
@@ -74,12 +93,64 @@ class BabbleApp {
         this.blendshapeRanges = {};
         this.isCalibrated = false;
         this.calibrationToggleEnabled = true; // Toggle for applying calibration scaling
+        // Guided per-expression calibration
+        this.calibrationWizard = new CalibrationWizard();
+        // Recording of the free-form calibration
+        this.calibrationRecorder = null;
+        // Recordings the range ends were derived from: { name: { min: { recorder, stat }, max: { recorder, stat } } }
+        this.calibrationSources = {};
+        // Percentiles used as range ends, and whether frames flagged as bad are left out
+        this.calibrationPercentiles = { low: 2, high: 98 };
+        this.discardBadFrames = true;
         
         // Initialize blendshape ranges
-        BabbleModel.blendshapeNames.forEach(name => {
+        this.model.blendshapeNames.forEach(name => {
             this.blendshapeRanges[name] = { min: 0.0, max: 1.0 };
         });
 
+        // Per-blendshape output shaping by name, see output-stage.js. Shapes without settings pass through
+        this.outputSettings = {};
+        // Blendshape whose output editor is open
+        this.outputEditorName = null;
+
+        // Camera source as selected in the UI
+        this.cameraSource = 'serial';
+        // Output destinations (see destinations.js) and their status by id
+        this.destinations = [];
+        this.destinationStatus = new Map();
+        // OSC or JSON WebSocket clients of the web build by destination id
+        this.oscClients = new Map();
+        // Web build: stats of the WebSocket to UDP bridge behind each OSC destination, see bridge-status.js
+        this.bridgeStatus = new Map();
+        this.bridgePollTimer = null;
+        // Number of frames sent, the frame field of JSON output
+        this.outputFrameNumber = 0;
+        // WebSocket server of the desktop app ({ enabled, port, json, osc, includeRaw })
+        this.websocketServer = {
+            enabled: false, port: 8890, json: true, osc: false, includeRaw: false, lan: false, allowedOrigins: []
+        };
+        // OSC remote control input of the desktop app ({ enabled, port, lan }), and whether sending is paused
+        this.oscInput = { enabled: false, port: 8884, lan: false };
+        this.isOutputPaused = false;
+        // 'messages' (one OSC message per blendshape) or 'bundle' (one bundle per frame)
+        this.oscMode = 'messages';
+        // Derived outputs ({ name, expression }), their parsed form and how they are sent, see derived-outputs.js
+        this.derivedOutputs = [];
+        this.compiledDerivedOutputs = [];
+        this.derivedOutputMode = 'alongside';
+        // 'blendshapes' or 'unified' (Unified Expressions avatar parameters) and the binary encoding of the latter
+        this.outputMode = 'blendshapes';
+        this.unifiedBinaryBits = 0;
+        this.unifiedBinaryParameters = [];
+        // OSC address preset and per-blendshape addresses, see output-mapping.js
+        this.outputMapping = createOutputMapping();
+        // Invalid stored settings that were replaced when loading, see config-schema.js
+        this.configRepairs = [];
+
+        // Named profiles by name, see profiles.js. The active one is mirrored by the live settings
+        this.profiles = {};
+        this.activeProfile = 'Default';
+
         // Crop rectangle state
         this.cropRect = {
             x: 0,
@@ -104,6 +175,7 @@ class BabbleApp {
             
             this.setupUI();
             this.setupEventListeners();
+            this.showConfigRepairs();
             this.refreshSerialPorts();
             this.reconnectOSC();
             this.updateFilter();
@@ -125,15 +197,32 @@ class BabbleApp {
             const config = await this.configStore.loadConfig();
             
             // Apply loaded configuration
-            this.isVerticallyFlipped = config.isVerticallyFlipped;
-            this.isHorizontallyFlipped = config.isHorizontallyFlipped;
+            this.cameraSource = config.cameraSource;
+            this.destinations = config.destinations;
+            this.websocketServer = { ...config.websocketServer, allowedOrigins: [...config.websocketServer.allowedOrigins] };
+            this.oscInput = { ...config.oscInput };
+            this.oscMode = config.oscMode;
+            this.outputMapping = config.outputMapping;
+            this.derivedOutputs = config.derivedOutputs;
+            this.outputMode = config.outputMode;
+            this.unifiedBinaryBits = config.unifiedBinaryBits;
+            this.unifiedBinaryParameters = config.unifiedBinaryParameters;
+            this.derivedOutputMode = config.derivedOutputMode;
+            this.configRepairs = [...this.configStore.repairs];
             this.selectedSerialPort = config.selectedSerialPort;
-            this.filterParams = { ...config.filterParams };
-            this.isFilterEnabled = config.isFilterEnabled;
-            this.calibrationToggleEnabled = config.calibrationToggleEnabled;
-            this.blendshapeRanges = { ...config.blendshapeRanges };
-            this.isCalibrated = config.isCalibrated;
-            this.cropRect = { ...config.cropRect };
+            this.networkCameraUrl = config.networkCameraUrl;
+            this.selectedWebcamDeviceId = config.selectedWebcamDeviceId;
+            this.webcamDeviceSettings = { ...config.webcamDeviceSettings };
+            this.customModel = config.customModel;
+            this.executionProvider = config.executionProvider;
+            this.wasmThreads = config.wasmThreads;
+            this.model.setRuntimeOptions({
+                executionProvider: this.executionProvider,
+                numThreads: this.wasmThreads
+            });
+            this.profiles = { ...config.profiles };
+            this.activeProfile = config.activeProfile;
+            this.applyProfileSettings(config);
             this.targetFps = config.targetFps;
             this.frameInterval = 1000 / this.targetFps;
             
@@ -143,31 +232,100 @@ class BabbleApp {
         }
     }
 
-    async saveConfiguration() {
+    /**
+     * Tell the user which stored settings were invalid and replaced by defaults
+     */
+    showConfigRepairs() {
+        const warning = document.getElementById('configWarning');
+        if (!warning || this.configRepairs.length === 0) return;
+
+        this.configRepairs.forEach(message => this.logMessage(`Config repaired: ${message}`));
+        document.getElementById('configWarningText').textContent =
+            `${this.configRepairs.length} stored setting(s) were invalid and have been reset, see the log for details.`;
+        warning.style.display = 'flex';
+    }
+
+    /**
+     * Take over the settings of a profile, missing ones fall back to the defaults
+     * @param {Object} settings - Profile settings or a full configuration
+     */
+    applyProfileSettings(settings) {
+        const profile = { ...this.configStore.defaultConfig, ...settings };
+        this.isVerticallyFlipped = profile.isVerticallyFlipped;
+        this.isHorizontallyFlipped = profile.isHorizontallyFlipped;
+        this.filterChain = normalizeFilterChain(profile.filterChain);
+        this.isFilterEnabled = profile.isFilterEnabled;
+        this.calibrationToggleEnabled = profile.calibrationToggleEnabled;
+        this.blendshapeRanges = { ...profile.blendshapeRanges };
+        this.model.blendshapeNames.forEach(name => {
+            if (!this.blendshapeRanges[name]) {
+                this.blendshapeRanges[name] = { min: 0.0, max: 1.0 };
+            }
+        });
+        this.isCalibrated = profile.isCalibrated;
+        this.calibrationPercentiles = { ...profile.calibrationPercentiles };
+        this.discardBadFrames = profile.discardBadFrames;
+        this.outputSettings = Object.fromEntries(Object.entries(profile.outputSettings)
+            .map(([name, outputSettings]) => [name, normalizeOutputSettings(outputSettings)]));
+        this.cropRect = { ...profile.cropRect };
+    }
+
+    /**
+     * @param {boolean} force - Save even if the last save was less than a second ago
+     */
+    async saveConfiguration(force = false) {
         // throttle save to avoid excessive writes
-        if (this.lastSaveTime && Date.now() - this.lastSaveTime < 1000) {
+        const elapsed = Date.now() - this.lastSaveTime;
+        if (!force && this.lastSaveTime && elapsed < 1000) {
+            // Save once the second is over so the last of a burst of changes (e.g. a slider drag) is kept
+            this.pendingSaveTimer ??= setTimeout(() => {
+                this.pendingSaveTimer = null;
+                this.saveConfiguration();
+            }, 1000 - elapsed);
             return;
         }
+        clearTimeout(this.pendingSaveTimer);
+        this.pendingSaveTimer = null;
         this.lastSaveTime = Date.now();
         try {
             const config = {
                 // Camera settings
-                cameraSource: document.getElementById('cameraSource')?.value || 'serial',
+                cameraSource: this.cameraSource,
                 selectedSerialPort: this.selectedSerialPort,
+                networkCameraUrl: this.networkCameraUrl,
+                selectedWebcamDeviceId: this.selectedWebcamDeviceId,
+                webcamDeviceSettings: { ...this.webcamDeviceSettings },
+                customModel: this.customModel,
+                executionProvider: this.executionProvider,
+                wasmThreads: this.wasmThreads,
                 isVerticallyFlipped: this.isVerticallyFlipped,
                 isHorizontallyFlipped: this.isHorizontallyFlipped,
                 
                 // OSC settings
-                udpPort: parseInt(document.getElementById('udpPort')?.value) || 8888,
+                destinations: this.destinations.map(destination => ({ ...destination })),
+                websocketServer: { ...this.websocketServer, allowedOrigins: [...this.websocketServer.allowedOrigins] },
+                oscInput: { ...this.oscInput },
+                oscMode: this.oscMode,
+                outputMapping: JSON.parse(JSON.stringify(this.outputMapping)),
+                derivedOutputs: this.derivedOutputs.map(output => ({ ...output })),
+                derivedOutputMode: this.derivedOutputMode,
+                outputMode: this.outputMode,
+                unifiedBinaryBits: this.unifiedBinaryBits,
+                unifiedBinaryParameters: [...this.unifiedBinaryParameters],
                 
-                // Filter parameters
-                filterParams: { ...this.filterParams },
+                // Filter chain
+                filterChain: cloneFilterChain(this.filterChain),
                 isFilterEnabled: this.isFilterEnabled,
                 
                 // Calibration settings
                 calibrationToggleEnabled: this.calibrationToggleEnabled,
                 blendshapeRanges: { ...this.blendshapeRanges },
                 isCalibrated: this.isCalibrated,
+                calibrationPercentiles: { ...this.calibrationPercentiles },
+                discardBadFrames: this.discardBadFrames,
+
+                // Output shaping
+                outputSettings: JSON.parse(JSON.stringify(this.outputSettings)),
                 
                 // Crop rectangle
                 cropRect: { ...this.cropRect },
@@ -175,6 +333,11 @@ class BabbleApp {
                 // Performance settings
                 targetFps: this.targetFps
             };
+
+            // Keep the active profile's stored copy in sync with the live settings
+            this.profiles[this.activeProfile] = extractProfile(config);
+            config.profiles = { ...this.profiles };
+            config.activeProfile = this.activeProfile;
             
             await this.configStore.saveConfig(config);
             console.log('Configuration saved successfully');
@@ -183,26 +346,101 @@ class BabbleApp {
         }
     }
 
+    /**
+     * Open an OSC or JSON WebSocket per enabled destination and close the ones no longer needed.
+     * The desktop app sends UDP from the backend instead.
+     */
     async reconnectOSC() {
-        if (this.isTauriEnvironment) {
-            return;
+        const enabled = this.isTauriEnvironment ? [] : this.destinations.filter(destination => destination.enabled);
+
+        for (const [id, client] of this.oscClients) {
+            const destination = enabled.find(destination => destination.id === id);
+            if (!destination || client.host !== destination.host || client.port !== destination.port ||
+                client instanceof JsonClient !== (destination.format === 'json')) {
+                client.disconnect();
+                this.oscClients.delete(id);
+            }
         }
-        const udpPortInput = document.getElementById('udpPort');
-        const udpPort = parseInt(udpPortInput.value) || 8888;
-        const udpStatus = document.querySelector('#udpStatus');
 
-        if (this.oscClient) this.oscClient.disconnect();
+        for (const destination of enabled) {
+            if (this.oscClients.has(destination.id)) continue;
+            // Create OSC or JSON client
+            const client = destination.format === 'json'
+                ? new JsonClient(destination.port, destination.host)
+                : new OSCClient(destination.port, destination.host);
+            this.oscClients.set(destination.id, client);
+            if (client instanceof JsonClient) {
+                // Shown right away, also while no frames are sent; failures are logged once until it reconnects
+                client.onStatus = (isOpen, error) => {
+                    const previous = this.destinationStatus.get(destination.id);
+                    if (isOpen) {
+                        this.logMessage(`Connected to ${describeDestination(destination)}`);
+                    } else if (previous?.text !== 'WS ERR') {
+                        this.logMessage(`${describeDestination(destination)} is not connected: ${error}`);
+                    }
+                    this.setDestinationStatus(destination.id, isOpen ? 'WS' : 'WS ERR', error);
+                };
+            }
+            try {
+                await client.connect();
+            } catch (err) {
+                console.error('Failed to connect OSC client:', err);
+                this.logMessage(`Failed to connect to ${describeDestination(destination)}: ${err.message}`);
+                this.setDestinationStatus(destination.id, 'WS ERR', err.message);
+            }
+        }
 
-        // Create OSC client
-        this.oscClient = new OSCClient(udpPort);
-        try {
-            await this.oscClient.connect();
-            udpStatus.textContent = 'WS';
-        } catch (err) {
-            console.error('Failed to connect OSC client:', err);
-            this.logMessage('Failed to connect OSC client: ' + err.message);
-            udpStatus.textContent = 'WS ERR';
+        // Only OSC destinations can have a bridge behind them
+        if (!enabled.some(destination => destination.format === 'osc')) {
+            this.stopBridgePolling();
+            return;
+        }
+        if (!this.bridgePollTimer) {
+            this.bridgePollTimer = setInterval(() => this.pollBridges(), 2000);
         }
+        this.pollBridges();
+    }
+
+    stopBridgePolling() {
+        clearInterval(this.bridgePollTimer);
+        this.bridgePollTimer = null;
+    }
+
+    /**
+     * Check which OSC destinations have the WebSocket to UDP bridge behind them and show its stats
+     */
+    async pollBridges() {
+        const destinations = this.destinations.filter(destination => destination.enabled && destination.format === 'osc');
+        await Promise.all(destinations.map(async destination => {
+            const status = await fetchBridgeStatus(destination.host, destination.port);
+            const time = Date.now();
+            const previous = this.bridgeStatus.get(destination.id);
+            this.bridgeStatus.set(destination.id, { status, time, ...describeBridgeStatus(status, previous, time) });
+            this.showBridgeStatus(destination.id);
+
+            if (!previous || Boolean(previous.status) !== Boolean(status)) {
+                if (status) {
+                    this.logMessage(`Bridge at ${describeDestination(destination)} forwards to UDP ${status.udpHost}:${status.udpPort}`);
+                } else if (previous) {
+                    this.logMessage(`Bridge at ${describeDestination(destination)} is no longer reachable`);
+                } else {
+                    this.logMessage(`No bridge at ${describeDestination(destination)}, start one with "npm run bridge" to reach UDP receivers`);
+                }
+            }
+        }));
+    }
+
+    /**
+     * @param {string} id - Destination id
+     */
+    showBridgeStatus(id) {
+        const element = document.querySelector(`.destination-row[data-id="${CSS.escape(id)}"] .destination-bridge`);
+        const bridge = this.bridgeStatus.get(id);
+        if (!element) return;
+        element.style.display = bridge ? '' : 'none';
+        element.textContent = bridge?.text ?? '';
+        element.title = bridge?.message ?? '';
+        element.classList.toggle('error', Boolean(bridge?.error));
     }
 
     async refreshSerialPorts() {
@@ -210,6 +448,8 @@ class BabbleApp {
         const serialPortSelection = document.getElementById('serialPortSelection');
         const serialPortSelect = document.getElementById('serialPortSelect');
 
+        this.updateSourceSelection();
+
         if (cameraSource.value === 'serial' && this.serialCamera?.getAvailablePorts) {
             serialPortSelection.style.display = 'block';
         } else {
@@ -237,6 +477,117 @@ class BabbleApp {
         }
     }
 
+    updateSourceSelection() {
+        const cameraSource = document.getElementById('cameraSource');
+        const webcamSelection = document.getElementById('webcamSelection');
+        const showWebcam = cameraSource.value === 'webcam';
+        if (showWebcam && webcamSelection.style.display === 'none' && !this.webcamCamera.isConnected) {
+            this.refreshWebcamDevices();
+        }
+        webcamSelection.style.display = showWebcam ? 'flex' : 'none';
+        const networkCameraSelection = document.getElementById('networkCameraSelection');
+        networkCameraSelection.style.display = cameraSource.value === 'network' ? 'flex' : 'none';
+        const fileCameraSelection = document.getElementById('fileCameraSelection');
+        fileCameraSelection.style.display = cameraSource.value === 'file' ? 'flex' : 'none';
+    }
+
+    async refreshWebcamDevices() {
+        const webcamDeviceSelect = document.getElementById('webcamDeviceSelect');
+        const devices = await this.webcamCamera.getAvailableDevices();
+
+        webcamDeviceSelect.innerHTML = '<option value="">Default camera</option>';
+        devices.forEach(device => {
+            const option = document.createElement('option');
+            option.value = device.deviceId;
+            option.textContent = device.label;
+            webcamDeviceSelect.appendChild(option);
+        });
+
+        if (devices.some(device => device.deviceId === this.selectedWebcamDeviceId)) {
+            webcamDeviceSelect.value = this.selectedWebcamDeviceId;
+        }
+        await this.refreshWebcamModes();
+    }
+
+    async refreshWebcamModes() {
+        const webcamDeviceSelect = document.getElementById('webcamDeviceSelect');
+        const webcamResolutionSelect = document.getElementById('webcamResolutionSelect');
+        const webcamFpsSelect = document.getElementById('webcamFpsSelect');
+        const deviceId = webcamDeviceSelect.value;
+        const saved = this.getWebcamSettings();
+
+        let modes = { resolutions: [{ width: 640, height: 480 }], frameRates: [] };
+        if (deviceId) {
+            modes = await this.webcamCamera.getSupportedModes(deviceId);
+        }
+
+        webcamResolutionSelect.innerHTML = '';
+        modes.resolutions.forEach(({ width, height }) => {
+            const option = document.createElement('option');
+            option.value = `${width}x${height}`;
+            option.textContent = `${width}x${height}`;
+            webcamResolutionSelect.appendChild(option);
+        });
+        const savedResolution = `${saved.width}x${saved.height}`;
+        if (modes.resolutions.some(({ width, height }) => `${width}x${height}` === savedResolution)) {
+            webcamResolutionSelect.value = savedResolution;
+        }
+
+        webcamFpsSelect.innerHTML = '<option value="">Auto FPS</option>';
+        modes.frameRates.forEach(rate => {
+            const option = document.createElement('option');
+            option.value = rate.toString();
+            option.textContent = `${rate} FPS`;
+            webcamFpsSelect.appendChild(option);
+        });
+        if (saved.frameRate && modes.frameRates.includes(saved.frameRate)) {
+            webcamFpsSelect.value = saved.frameRate.toString();
+        }
+    }
+
+    /**
+     * Get the capture settings remembered for the selected webcam
+     * @returns {{deviceId: string|null, width: number, height: number, frameRate: number|null}}
+     */
+    getWebcamSettings() {
+        const deviceId = this.selectedWebcamDeviceId || null;
+        const saved = (deviceId && this.webcamDeviceSettings[deviceId]) || {};
+        return {
+            deviceId,
+            width: saved.width || 640,
+            height: saved.height || 480,
+            frameRate: saved.frameRate || null
+        };
+    }
+
+    saveWebcamSelection() {
+        const webcamResolutionSelect = document.getElementById('webcamResolutionSelect');
+        const webcamFpsSelect = document.getElementById('webcamFpsSelect');
+        const [width, height] = webcamResolutionSelect.value.split('x').map(v => parseInt(v));
+
+        if (this.selectedWebcamDeviceId) {
+            this.webcamDeviceSettings[this.selectedWebcamDeviceId] = {
+                width: width || 640,
+                height: height || 480,
+                frameRate: parseInt(webcamFpsSelect.value) || null
+            };
+        }
+        this.saveConfiguration();
+    }
+
+    getCameraForSource(source) {
+        switch (source) {
+            case 'webcam':
+                return this.webcamCamera;
+            case 'network':
+                return this.networkCamera;
+            case 'file':
+                return this.fileCamera;
+            default:
+                return this.serialCamera;
+        }
+    }
+
     logMessage(message) {
         console.log(message);
         const logElement = document.querySelector('#log');
@@ -253,59 +604,223 @@ class BabbleApp {
     setupUI() {
         // Create UI elements
         const app = document.querySelector('#app');
-        const connType = this.oscClient ? 'WS' : 'UDP';
         app.innerHTML = `
             <div class="container">
                 <div class="header">
                     <div style="margin: 10px"><a href="http://aurabirb.github.io/blubber-web/" target="_blank" rel="noopener noreferrer"><h1>Blubber Web</h1></a><a href="https://github.com/aurabirb/blubber-web/" target="_blank" rel="noopener noreferrer" title="View Source Code on GitHub"><svg width="16" height="16" viewBox="0 0 16 16" fill="white" style="vertical-align: middle;"><path d="M8 0C3.58 0 0 3.58 0 8c0 3.54 2.29 6.53 5.47 7.59.4.07.55-.17.55-.38 0-.19-.01-.82-.01-1.49-2.01.37-2.53-.49-2.69-.94-.09-.23-.48-.94-.82-1.13-.28-.15-.68-.52-.01-.53.63-.01 1.08.58 1.23.82.72 1.21 1.87.87 2.33.66.07-.52.28-.87.51-1.07-1.78-.2-3.64-.89-3.64-3.95 0-.87.31-1.59.82-2.15-.08-.2-.36-1.02.08-2.12 0 0 .67-.21 2.2.82.64-.18 1.32-.27 2-.27.68 0 1.36.09 2 .27 1.53-1.04 2.2-.82 2.2-.82.44 1.1.16 1.92.08 2.12.51.56.82 1.27.82 2.15 0 3.07-1.87 3.75-3.65 3.95.29.25.54.73.54 1.48 0 1.07-.01 1.93-.01 2.2 0 .21.15.46.55.38A8.013 8.013 0 0016 8c0-4.42-3.58-8-8-8z"/></svg> </a> based on <a href="https://babble.diy/">Project Babble</a></div>
+                    <div id="configWarning" class="config-warning" style="display: none;">
+                        <span id="configWarningText"></span>
+                        <button id="dismissConfigWarningBtn">Dismiss</button>
+                    </div>
+                    <div class="model-controls profile-controls">
+                        <label for="profileSelect">Profile:</label>
+                        <select id="profileSelect" title="Calibration, crop, flips, filters and output settings"></select>
+                        <button id="newProfileBtn">New</button>
+                        <button id="duplicateProfileBtn">Duplicate</button>
+                        <button id="renameProfileBtn">Rename</button>
+                        <button id="deleteProfileBtn">Delete</button>
+                        <button id="exportProfileBtn">Export</button>
+                        <button id="importProfileBtn">Import</button>
+                        <input type="file" id="importProfileFile" accept=".json,application/json" style="display: none;">
+                    </div>
                     <div class="controls">
                         <select id="cameraSource">
                             <option value="serial">Serial Camera</option>
                             <option value="webcam">Webcam</option>
+                            <option value="network">Wi-Fi Camera</option>
+                            <option value="file">Recording</option>
                         </select>
                         <button id="connectBtn">Connect Camera</button>
                         <button id="flipVerticalBtn">Flip Vertical: Off</button>
                         <button id="flipHorizontalBtn">Flip Horizontal: Off</button>
                         <span id="fpsCounter">FPS: 0</span>
+                        <span id="inferenceTime" title="Worker inference time / total round trip">Inference: - ms</span>
+                    </div>
+                    <div class="udp-controls destination-controls">
+                        <div id="destinationList"></div>
+                        <button id="addDestinationBtn" title="Send to another host or port as well">Add destination</button>
+                    </div>
+                    <div class="udp-controls websocket-server-controls" style="display: ${this.isTauriEnvironment ? 'flex' : 'none'};">
+                        <label title="Broadcast every frame to WebSocket clients, e.g. browser overlays or tools on another PC">
+                            <input type="checkbox" id="websocketServerEnabled"> WebSocket server
+                        </label>
+                        <input type="number" id="websocketServerPort" min="1" max="65535" title="Port">
+                        <label title="Send each frame as a JSON text message"><input type="checkbox" id="websocketServerJson"> JSON</label>
+                        <label title="Add raw and filtered values to JSON frames"><input type="checkbox" id="websocketServerRaw"> Raw</label>
+                        <label title="Send OSC packets as binary messages, as osc-js clients expect"><input type="checkbox" id="websocketServerOsc"> OSC</label>
+                        <label title="Also accept clients from other devices on the network, anyone there can then read the tracking data"><input type="checkbox" id="websocketServerLan"> LAN</label>
+                        <input type="text" id="websocketServerOrigins" placeholder="Allowed web origins" title="Web pages that may connect besides local ones, separated by commas, e.g. https://overlay.example">
+                        <span id="websocketServerStatus" class="udpStatus">off</span>
+                    </div>
+                    <div class="udp-controls osc-input-controls" style="display: ${this.isTauriEnvironment ? 'flex' : 'none'};">
+                        <label title="Accept /blubber/calibrate/start, /blubber/calibrate/stop, /blubber/filter/enable, /blubber/profile and /blubber/pause, e.g. from an avatar menu or Stream Deck">
+                            <input type="checkbox" id="oscInputEnabled"> OSC input
+                        </label>
+                        <input type="number" id="oscInputPort" min="1" max="65535" title="UDP port">
+                        <label title="Also accept commands from other devices on the network, anyone there can then control the app">
+                            <input type="checkbox" id="oscInputLan"> LAN
+                        </label>
+                        <span id="oscInputStatus" class="udpStatus">off</span>
+                        <button id="pauseOutputBtn" title="Stop sending to all destinations, also /blubber/pause">Output: On</button>
                     </div>
                     <div class="udp-controls">
-                        <label for="udpPort">OSC Port:</label>
-                        <input type="number" id="udpPort" min="1" max="65535" value="8888" placeholder="8888">
-                        <span id="udpStatus" class="udpStatus">${connType}</span>
+                        <select id="oscMode" title="Bundles carry the frame capture time and arrive as a whole">
+                            <option value="messages">One message per blendshape</option>
+                            <option value="bundle">One bundle per frame</option>
+                        </select>
                         <div id="serialPortSelection" style="display: none;">
                             <select id="serialPortSelect">
                                 <option value="">Select a port...</option>
                             </select>
                             <button id="refreshPortsBtn" class="udpStatus">Refresh Ports</button>
                         </div>
+                        <div id="webcamSelection" style="display: none;">
+                            <select id="webcamDeviceSelect">
+                                <option value="">Default camera</option>
+                            </select>
+                            <select id="webcamResolutionSelect"></select>
+                            <select id="webcamFpsSelect"></select>
+                            <span id="webcamNegotiated" class="udpStatus"></span>
+                        </div>
+                        <div id="networkCameraSelection" style="display: none;">
+                            <label for="networkCameraUrl">Camera URL:</label>
+                            <input type="text" id="networkCameraUrl" placeholder="http://192.168.1.100:80/">
+                        </div>
+                        <div id="fileCameraSelection" style="display: none;">
+                            <input type="file" id="recordingFile" accept="video/mp4,video/webm,.mp4,.webm,.mjpeg,.mjpg,.jpg,.bin,.raw">
+                        </div>
+                    </div>
+                    <div id="playbackControls" class="playback-controls" style="display: none;">
+                        <button id="playPauseBtn">Pause</button>
+                        <input type="range" id="seekSlider" min="0" max="0" step="0.01" value="0">
+                        <span id="playbackTime">0.0 / 0.0 s</span>
+                        <button id="loopBtn">Loop: On</button>
+                        <select id="playbackSpeed">
+                            <option value="0.25">0.25x</option>
+                            <option value="0.5">0.5x</option>
+                            <option value="1" selected>1x</option>
+                            <option value="2">2x</option>
+                        </select>
                     </div>
+                    <div id="filterChain" class="filter-chain"></div>
                     <div class="filter-controls">
                         <div class="filter-param">
-                            <label for="minCutoff">Min Cutoff: <span id="minCutoffValue">3.0</span></label>
-                            <input type="range" id="minCutoff" min="0.1" max="10.0" step="0.1" value="3.0">
+                            <label for="filterStageType">Add stage:</label>
+                            <select id="filterStageType">
+                                ${Object.entries(FILTER_TYPES).map(([type, { label }]) => `<option value="${type}">${label}</option>`).join('')}
+                            </select>
+                        </div>
+                        <button id="addFilterStageBtn" class="filter-toggle">Add</button>
+                        <button id="filterToggleBtn" class="filter-toggle">Filter: On</button>
+                        <button id="toggleCalibrationBtn" class="calibration-toggle">Calibration: On</button>
+                        <button id="calibrateBtn" class="calibration-toggle">Recalibrate</button>
+                        <button id="calibrationWizardBtn" class="calibration-toggle">Guided Calibration</button>
+                    </div>
+                    <div class="filter-controls filter-overrides">
+                        <div class="filter-param">
+                            <label for="filterOverrideStage">Override stage:</label>
+                            <select id="filterOverrideStage"></select>
                         </div>
                         <div class="filter-param">
-                            <label for="beta">Beta: <span id="betaValue">0.9</span></label>
-                            <input type="range" id="beta" min="0.1" max="1.0" step="0.01" value="0.9">
+                            <label for="filterOverrideTarget">For:</label>
+                            <select id="filterOverrideTarget"></select>
                         </div>
+                        <div id="filterOverrideParams" class="filter-override-params"></div>
+                        <button id="resetOverrideBtn" class="filter-toggle">Use Defaults</button>
+                    </div>
+                    <div class="filter-controls calibration-options">
                         <div class="filter-param">
-                            <label for="dCutoff">D Cutoff: <span id="dCutoffValue">1.0</span></label>
-                            <input type="range" id="dCutoff" min="0.1" max="5.0" step="0.1" value="1.0">
+                            <label for="calibrationLowPercentile">Range percentiles:</label>
+                            <div>
+                                <input type="number" id="calibrationLowPercentile" min="0" max="49" step="0.5" value="2">
+                                <input type="number" id="calibrationHighPercentile" min="51" max="100" step="0.5" value="98">
+                            </div>
                         </div>
-                        <button id="filterToggleBtn" class="filter-toggle">Filter: On</button>
-                        <button id="toggleCalibrationBtn" class="calibration-toggle">Calibration: On</button>
-                        <button id="calibrateBtn" class="calibration-toggle">Recalibrate</button>
+                        <label class="filter-stage-enabled"><input type="checkbox" id="discardBadFrames" checked> Discard bad frames</label>
+                        <button id="flagBadFramesBtn" class="calibration-toggle" title="Mark the last 2 seconds of the calibration recording as bad">Flag Last 2 s</button>
+                        <span id="calibrationFrameStats" class="value"></span>
+                    </div>
+                    <div class="model-controls">
+                        <label for="modelFile">Model:</label>
+                        <span id="modelName" class="udpStatus">Built-in</span>
+                        <input type="file" id="modelFile" accept=".onnx,.json" multiple title="Pick an .onnx model and optionally its sidecar .json">
+                        <button id="builtinModelBtn">Use Built-in Model</button>
+                        <label for="executionProvider">Provider:</label>
+                        <select id="executionProvider">
+                            <option value="auto">Auto</option>
+                            ${BabbleModel.executionProviders.map(provider => `<option value="${provider}">${provider.toUpperCase()}</option>`).join('')}
+                        </select>
+                        <span id="activeProvider" class="udpStatus" title="Execution provider in use">-</span>
+                        <label for="wasmThreads" title="0 = automatic. More than 1 needs a cross-origin isolated page">WASM Threads:</label>
+                        <input type="number" id="wasmThreads" min="0" max="16" value="0">
+                        <input type="number" id="benchmarkRuns" min="1" max="1000" value="50" title="Inferences per provider">
+                        <button id="benchmarkBtn">Benchmark</button>
                     </div>
                 </div>
                 <div class="main-content">
                     <div class="preview">
                         <canvas id="preview" alt="Camera Preview"></canvas>
                         <canvas id="previewCropped" alt="Cropped Preview"></canvas>
+                        <div id="calibrationWizard" class="calibration-wizard" style="display: none;">
+                            <div class="calibration-wizard-header">
+                                <strong id="wizardStepTitle"></strong>
+                                <button id="wizardCloseBtn" title="Close the guided calibration">&times;</button>
+                            </div>
+                            <p id="wizardInstruction"></p>
+                            <div id="wizardTargets"></div>
+                            <div class="progress"><div class="progress-bar" id="wizardProgress" style="width: 0%;"></div></div>
+                            <div class="calibration-wizard-buttons">
+                                <button id="wizardPrevBtn">Back</button>
+                                <button id="wizardRecordBtn">Record</button>
+                                <button id="wizardNextBtn">Skip</button>
+                            </div>
+                            <div id="wizardSteps" class="calibration-wizard-steps"></div>
+                        </div>
                         <div id="log"></div>
                     </div>
                     <div class="blendshapes">
                         <h2>Blendshapes</h2>
                         <div id="blendshapesList"></div>
+                        <details class="derived-outputs">
+                            <summary>Derived outputs</summary>
+                            <div class="derived-output-controls">
+                                <select id="derivedOutputMode">
+                                    ${Object.entries(DERIVED_OUTPUT_MODES).map(([key, label]) => `<option value="${key}">${label}</option>`).join('')}
+                                </select>
+                                <button id="addDerivedOutputBtn">Add output</button>
+                            </div>
+                            <p class="derived-output-help">Combine calibrated blendshapes with + - * /, min(), max(), abs() and clamp(x, low, high), e.g. <code>jawRight - jawLeft</code></p>
+                            <div id="derivedOutputList"></div>
+                        </details>
+                        <details class="output-mapping">
+                            <summary>OSC addresses</summary>
+                            <div class="output-mapping-controls">
+                                <label for="outputMode">Output:</label>
+                                <select id="outputMode">
+                                    <option value="blendshapes">Babble blendshapes</option>
+                                    <option value="unified">Unified Expressions (VRCFT v2 avatar parameters)</option>
+                                </select>
+                                <span id="unifiedOptions" class="output-mapping-controls">
+                                    <label for="unifiedBinaryBits">Binary bits:</label>
+                                    <input type="number" id="unifiedBinaryBits" min="0" max="8" step="1" title="Also send the listed parameters as this many bool parameters, plus a sign for signed ones such as JawX, 0 for floats only">
+                                    <input type="text" id="unifiedBinaryParameters" placeholder="Parameters to encode, e.g. JawOpen, MouthX" title="Comma-separated parameters to binary encode, none if empty">
+                                </span>
+                            </div>
+                            <p id="unifiedOutputHelp" class="derived-output-help">Blendshapes are sent as ${UNIFIED_PARAMETERS.length} Unified Expressions parameters under <code>${UNIFIED_PREFIX}</code>, including combined ones like JawX and SmileSad. The table below applies to derived outputs.</p>
+                            <div class="output-mapping-controls">
+                                <label for="addressPreset">Preset:</label>
+                                <select id="addressPreset">
+                                    ${Object.entries(ADDRESS_PRESETS).map(([key, preset]) => `<option value="${key}">${preset.label}</option>`).join('')}
+                                </select>
+                                <input type="text" id="addressPrefix" placeholder="/prefix/" title="Prefix put in front of every blendshape name">
+                                <button id="resetAddressesBtn" title="Send every blendshape to its preset address">Reset table</button>
+                            </div>
+                            <div id="addressList"></div>
+                        </details>
+                        <details class="calibration-distribution">
+                            <summary>Calibration distribution</summary>
+                            <div id="distributionList"></div>
+                        </details>
                     </div>
                 </div>
             </div>
@@ -321,21 +836,38 @@ class BabbleApp {
     applyConfigurationToUI() {
         // Apply camera source selection
         const cameraSource = document.getElementById('cameraSource');
-        if (cameraSource && this.configStore) {
-            // Set the camera source from loaded config or use current value
-            this.configStore.loadConfig().then(config => {
-                if (config.cameraSource) {
-                    cameraSource.value = config.cameraSource;
-                }
-            });
+        if (cameraSource) {
+            cameraSource.value = this.cameraSource;
+            this.updateSourceSelection();
         }
 
-        // Apply UDP port
-        const udpPortInput = document.getElementById('udpPort');
-        if (udpPortInput) {
-            this.configStore.loadConfig().then(config => {
-                udpPortInput.value = config.udpPort.toString();
-            });
+        // Apply output destinations
+        this.renderDestinations();
+        this.renderWebSocketServer();
+        this.renderOscInput();
+        const oscModeSelect = document.getElementById('oscMode');
+        if (oscModeSelect) {
+            oscModeSelect.value = this.oscMode;
+        }
+
+        // Apply Wi-Fi camera URL
+        const networkCameraUrlInput = document.getElementById('networkCameraUrl');
+        if (networkCameraUrlInput) {
+            networkCameraUrlInput.value = this.networkCameraUrl || '';
+        }
+
+        // Apply inference runtime settings
+        const executionProviderSelect = document.getElementById('executionProvider');
+        const wasmThreadsInput = document.getElementById('wasmThreads');
+        if (executionProviderSelect && wasmThreadsInput) {
+            executionProviderSelect.value = this.executionProvider;
+            wasmThreadsInput.value = this.wasmThreads.toString();
+        }
+
+        // Show the remembered custom model until it is loaded
+        const modelName = document.getElementById('modelName');
+        if (modelName && this.customModel) {
+            modelName.textContent = this.customModel.name;
         }
 
         // Apply flip button states
@@ -346,23 +878,8 @@ class BabbleApp {
             flipHorizontalBtn.textContent = `Flip Horizontal: ${this.isHorizontallyFlipped ? 'On' : 'Off'}`;
         }
 
-        // Apply filter parameters
-        const minCutoffSlider = document.getElementById('minCutoff');
-        const betaSlider = document.getElementById('beta');
-        const dCutoffSlider = document.getElementById('dCutoff');
-        const minCutoffValue = document.getElementById('minCutoffValue');
-        const betaValue = document.getElementById('betaValue');
-        const dCutoffValue = document.getElementById('dCutoffValue');
-        
-        if (minCutoffSlider && betaSlider && dCutoffSlider) {
-            minCutoffSlider.value = this.filterParams.minCutoff.toString();
-            betaSlider.value = this.filterParams.beta.toString();
-            dCutoffSlider.value = this.filterParams.dCutoff.toString();
-            
-            if (minCutoffValue) minCutoffValue.textContent = this.filterParams.minCutoff.toString();
-            if (betaValue) betaValue.textContent = this.filterParams.beta.toString();
-            if (dCutoffValue) dCutoffValue.textContent = this.filterParams.dCutoff.toString();
-        }
+        // Apply filter chain
+        this.renderFilterChain();
 
         // Apply filter toggle state
         const filterToggleBtn = document.getElementById('filterToggleBtn');
@@ -376,6 +893,12 @@ class BabbleApp {
             toggleCalibrationBtn.textContent = `Calibration: ${this.calibrationToggleEnabled ? 'On' : 'Off'}`;
         }
 
+        // Apply calibration range settings
+        document.getElementById('calibrationLowPercentile').value = this.calibrationPercentiles.low.toString();
+        document.getElementById('calibrationHighPercentile').value = this.calibrationPercentiles.high.toString();
+        document.getElementById('discardBadFrames').checked = this.discardBadFrames;
+        this.renderCalibrationDistribution();
+
         // Apply calibration button state
         const calibrateBtn = document.getElementById('calibrateBtn');
         if (calibrateBtn) {
@@ -394,20 +917,33 @@ class BabbleApp {
     generateBlendshapeHTML() {
         const blendshapesList = document.getElementById('blendshapesList');
         
+        blendshapesList.innerHTML = '';
+
         // Create bars for each blendshape
-        BabbleModel.blendshapeNames.forEach((blendshapeName, index) => {
+        this.model.blendshapeNames.forEach((blendshapeName, index) => {
             const bar = document.createElement('div');
             bar.className = 'blendshape-bar';
             bar.innerHTML = `
-                <span class="label">${blendshapeName}</span>
+                <span class="label"></span>
                 <div class="progress">
                     <div class="progress-bar unfiltered" id="unfiltered-${index}" style="width: 0%;"></div>
                     <div class="progress-bar filtered" id="filtered-${index}" style="width: 0%;"></div>
                 </div>
                 <span class="value" id="value-${index}">0.0%</span>
+                <button class="output-edit-btn ${this.outputSettings[blendshapeName] ? 'active' : ''}" title="Output gain, deadzone, clamp and curve">&#9881;</button>
             `;
+            // Names come from the model's sidecar
+            bar.querySelector('.label').textContent = blendshapeName;
+            bar.querySelector('.output-edit-btn').dataset.name = blendshapeName;
             blendshapesList.appendChild(bar);
         });
+
+        if (this.outputEditorName) {
+            const name = this.outputEditorName;
+            this.outputEditorName = null;
+            this.toggleOutputEditor(name);
+        }
+        this.updateDerivedOutputs();
     }
 
     setupEventListeners() {
@@ -423,39 +959,67 @@ class BabbleApp {
         preview.style.cursor = 'grab';
         const fpsCounter = document.getElementById('fpsCounter');
 
-        // Filter parameter sliders
-        const minCutoffSlider = document.getElementById('minCutoff');
-        const betaSlider = document.getElementById('beta');
-        const dCutoffSlider = document.getElementById('dCutoff');
-        const minCutoffValue = document.getElementById('minCutoffValue');
-        const betaValue = document.getElementById('betaValue');
-        const dCutoffValue = document.getElementById('dCutoffValue');
+        // Filter controls
+        const filterChain = document.getElementById('filterChain');
         const filterToggleBtn = document.getElementById('filterToggleBtn');
         const calibrateBtn = document.getElementById('calibrateBtn');
         const toggleCalibrationBtn = document.getElementById('toggleCalibrationBtn');
 
-        // Add event listeners for filter parameter sliders
-        minCutoffSlider.addEventListener('input', (e) => {
-            this.filterParams.minCutoff = parseFloat(e.target.value);
-            minCutoffValue.textContent = e.target.value;
+        // Filter chain stages: parameter sliders, enable checkbox, reorder and remove buttons
+        filterChain.addEventListener('input', (e) => {
+            const param = e.target.dataset.param;
+            if (!param) return;
+            const stageElement = e.target.closest('.filter-stage');
+            const stage = this.filterChain[parseInt(stageElement.dataset.index)];
+            stage.params[param] = parseFloat(e.target.value);
+            stageElement.querySelector(`[data-value="${param}"]`).textContent = e.target.value;
             this.updateFilter();
+            this.showFilterOverride();
             this.saveConfiguration();
         });
 
-        betaSlider.addEventListener('input', (e) => {
-            this.filterParams.beta = parseFloat(e.target.value);
-            betaValue.textContent = e.target.value;
+        filterChain.addEventListener('change', (e) => {
+            if (e.target.dataset.action !== 'enable') return;
+            const index = parseInt(e.target.closest('.filter-stage').dataset.index);
+            this.filterChain[index].enabled = e.target.checked;
             this.updateFilter();
-            this.saveConfiguration();
+            this.saveConfiguration(true);
+        });
+
+        filterChain.addEventListener('click', (e) => {
+            const action = e.target.dataset.action;
+            if (action !== 'up' && action !== 'down' && action !== 'remove') return;
+            const index = parseInt(e.target.closest('.filter-stage').dataset.index);
+            if (action === 'remove') {
+                this.filterChain.splice(index, 1);
+            } else {
+                const target = action === 'up' ? index - 1 : index + 1;
+                [this.filterChain[index], this.filterChain[target]] = [this.filterChain[target], this.filterChain[index]];
+            }
+            this.renderFilterChain();
+            this.updateFilter();
+            this.saveConfiguration(true);
         });
 
-        dCutoffSlider.addEventListener('input', (e) => {
-            this.filterParams.dCutoff = parseFloat(e.target.value);
-            dCutoffValue.textContent = e.target.value;
+        document.getElementById('addFilterStageBtn').addEventListener('click', () => {
+            const type = document.getElementById('filterStageType').value;
+            this.filterChain.push(createFilterStage(type));
+            this.renderFilterChain();
             this.updateFilter();
-            this.saveConfiguration();
+            this.saveConfiguration(true);
         });
 
+        // Per-group and per-blendshape overrides of the selected stage
+        document.getElementById('filterOverrideStage').addEventListener('change', () => this.populateFilterOverrideTargets());
+        document.getElementById('filterOverrideTarget').addEventListener('change', () => this.showFilterOverride());
+        document.getElementById('filterOverrideParams').addEventListener('input', (e) => {
+            const param = e.target.dataset.param;
+            if (param) {
+                this.setFilterOverride(param, parseFloat(e.target.value));
+            }
+        });
+        document.getElementById('resetOverrideBtn').addEventListener('click', () => this.resetFilterOverride());
+
         // Filter toggle button event listener
         filterToggleBtn.addEventListener('click', () => {
             this.isFilterEnabled = !this.isFilterEnabled;
@@ -465,11 +1029,40 @@ class BabbleApp {
 
         // Calibration toggle button event listener
         calibrateBtn.addEventListener('click', () => {
-            if (this.isProcessingFrames) {
+            if (this.isProcessingFrames && !this.calibrationWizard.isActive) {
                 this.toggleCalibration();
             }
         });
 
+        this.setupCalibrationWizard();
+        this.setupProfileControls();
+
+        // Output editor buttons next to every blendshape bar
+        document.getElementById('blendshapesList').addEventListener('click', (e) => {
+            const button = e.target.closest('.output-edit-btn');
+            if (button) {
+                this.toggleOutputEditor(button.dataset.name);
+            }
+        });
+
+        // Calibration range percentiles and bad frame handling, applied to the last recordings
+        const updateCalibrationOptions = () => {
+            const low = parseFloat(document.getElementById('calibrationLowPercentile').value);
+            const high = parseFloat(document.getElementById('calibrationHighPercentile').value);
+            if (!(low >= 0 && low < high && high <= 100)) {
+                this.logMessage('Range percentiles must satisfy 0 <= low < high <= 100');
+                return;
+            }
+            this.calibrationPercentiles = { low, high };
+            this.discardBadFrames = document.getElementById('discardBadFrames').checked;
+            this.updateCalibratedRanges();
+            this.saveConfiguration();
+        };
+        document.getElementById('calibrationLowPercentile').addEventListener('change', updateCalibrationOptions);
+        document.getElementById('calibrationHighPercentile').addEventListener('change', updateCalibrationOptions);
+        document.getElementById('discardBadFrames').addEventListener('change', updateCalibrationOptions);
+        document.getElementById('flagBadFramesBtn').addEventListener('click', () => this.flagBadCalibrationFrames(2));
+
         // Calibration toggle button event listener
         toggleCalibrationBtn.addEventListener('click', () => {
             this.toggleCalibrationScaling();
@@ -500,22 +1093,213 @@ class BabbleApp {
             }
 
             // Show/hide serial port selection based on camera source and environment
+            this.cameraSource = cameraSource.value;
             this.refreshSerialPorts();
             this.saveConfiguration();
         });
 
+        document.getElementById('dismissConfigWarningBtn').addEventListener('click', () => {
+            document.getElementById('configWarning').style.display = 'none';
+        });
+
+        // Derived outputs
+        document.getElementById('derivedOutputMode').addEventListener('change', (e) => {
+            this.derivedOutputMode = e.target.value;
+            this.saveConfiguration(true);
+        });
+        document.getElementById('addDerivedOutputBtn').addEventListener('click', () => {
+            const names = new Set([...this.model.blendshapeNames, ...this.derivedOutputs.map(output => output.name)]);
+            let name = 'Output1';
+            for (let i = 2; names.has(name); i++) {
+                name = `Output${i}`;
+            }
+            this.derivedOutputs.push({ name, expression: '0' });
+            this.updateDerivedOutputs();
+            this.saveConfiguration(true);
+        });
+        const derivedOutputList = document.getElementById('derivedOutputList');
+        derivedOutputList.addEventListener('change', (e) => {
+            const row = e.target.closest('.derived-output-row');
+            if (row && e.target.dataset.field) {
+                this.setDerivedOutput(parseInt(row.dataset.index), e.target.dataset.field, e.target.value);
+            }
+        });
+        derivedOutputList.addEventListener('click', (e) => {
+            const row = e.target.closest('.derived-output-row');
+            if (row && e.target.dataset.action === 'remove') {
+                const [removed] = this.derivedOutputs.splice(parseInt(row.dataset.index), 1);
+                if (!this.model.blendshapeNames.includes(removed.name)) {
+                    delete this.outputMapping.addresses[removed.name];
+                }
+                this.updateDerivedOutputs();
+                this.saveConfiguration(true);
+            }
+        });
+
+        // Output mode and Unified Expressions binary encoding
+        document.getElementById('outputMode').addEventListener('change', (e) => {
+            this.outputMode = e.target.value;
+            this.renderOutputMapping();
+            this.saveConfiguration(true);
+        });
+        document.getElementById('unifiedBinaryBits').addEventListener('change', (e) => {
+            this.unifiedBinaryBits = Math.max(0, Math.min(8, parseInt(e.target.value) || 0));
+            e.target.value = this.unifiedBinaryBits;
+            this.saveConfiguration(true);
+        });
+        document.getElementById('unifiedBinaryParameters').addEventListener('change', (e) => {
+            const parameters = e.target.value.split(',').map(name => name.trim()).filter(Boolean);
+            const unknown = parameters.filter(name => !UNIFIED_PARAMETERS.includes(name));
+            if (unknown.length > 0) {
+                this.logMessage(`Unknown Unified Expressions parameter(s): ${unknown.join(', ')}`);
+            }
+            this.unifiedBinaryParameters = parameters.filter(name => UNIFIED_PARAMETERS.includes(name));
+            e.target.value = this.unifiedBinaryParameters.join(', ');
+            this.saveConfiguration(true);
+        });
+
+        // OSC address preset, prefix and table
+        document.getElementById('addressPreset').addEventListener('change', (e) => {
+            this.outputMapping.preset = e.target.value;
+            this.renderOutputMapping();
+            this.saveConfiguration(true);
+        });
+        document.getElementById('addressPrefix').addEventListener('change', (e) => {
+            let prefix = e.target.value.trim();
+            if (!prefix.startsWith('/')) {
+                prefix = `/${prefix}`;
+            }
+            if (!isValidAddress(`${prefix}x`)) {
+                this.logMessage(`Invalid OSC address prefix "${prefix}"`);
+                e.target.value = this.outputMapping.prefix;
+                return;
+            }
+            this.outputMapping.prefix = prefix;
+            this.renderOutputMapping();
+            this.saveConfiguration(true);
+        });
+        document.getElementById('resetAddressesBtn').addEventListener('click', () => {
+            this.outputMapping.addresses = {};
+            this.renderOutputMapping();
+            this.saveConfiguration(true);
+        });
+        document.getElementById('addressList').addEventListener('change', (e) => {
+            if (e.target.dataset.name) {
+                this.setOutputAddress(e.target.dataset.name);
+            }
+        });
+
         // Handle refresh ports button
         refreshPortsBtn.addEventListener('click', async () => {
             await this.refreshSerialPorts();
         });
 
-        // Handle UDP port changes
-        const udpPortInput = document.getElementById('udpPort');
-        if (udpPortInput) {
-            udpPortInput.addEventListener('change', () => {
-                this.saveConfiguration();
+        // Output destinations
+        document.getElementById('addDestinationBtn').addEventListener('click', () => {
+            const ports = this.destinations.map(destination => destination.port);
+            this.destinations.push(createDestination({ port: ports.length > 0 ? Math.max(...ports) + 1 : 8888 }));
+            this.onDestinationsChanged();
+        });
+        const destinationList = document.getElementById('destinationList');
+        destinationList.addEventListener('change', (e) => {
+            const row = e.target.closest('.destination-row');
+            if (row && e.target.dataset.field) {
+                const value = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+                this.setDestinationField(row.dataset.id, e.target.dataset.field, value);
+            }
+        });
+        destinationList.addEventListener('click', (e) => {
+            const row = e.target.closest('.destination-row');
+            if (row && e.target.dataset.action === 'remove') {
+                this.destinations = this.destinations.filter(destination => destination.id !== row.dataset.id);
+                this.onDestinationsChanged();
+            }
+        });
+        if (this.isTauriEnvironment) {
+            // The backend reports when sending to a destination starts or stops failing
+            listen('destination-status', (event) => {
+                const { id, ok, message } = event.payload;
+                this.setDestinationStatus(id, ok ? 'UDP' : 'UDP ERR', message);
+                const destination = this.destinations.find(destination => destination.id === id);
+                if (!ok && destination) {
+                    this.logMessage(`Sending to ${describeDestination(destination)} failed: ${message}`);
+                }
+            });
+        }
+        // WebSocket server of the desktop app
+        const websocketServerFields = {
+            websocketServerEnabled: 'enabled',
+            websocketServerPort: 'port',
+            websocketServerJson: 'json',
+            websocketServerRaw: 'includeRaw',
+            websocketServerOsc: 'osc',
+            websocketServerLan: 'lan',
+            websocketServerOrigins: 'allowedOrigins'
+        };
+        Object.entries(websocketServerFields).forEach(([elementId, field]) => {
+            document.getElementById(elementId).addEventListener('change', (e) => {
+                this.setWebSocketServerField(field, e.target.type === 'checkbox' ? e.target.checked : e.target.value);
+            });
+        });
+        if (this.isTauriEnvironment) {
+            listen('websocket-server-status', (event) => {
+                const { running, port, clients, message } = event.payload;
+                this.showWebSocketServerStatus(running, clients, message);
+                if (message) {
+                    this.logMessage(`WebSocket server on port ${port}: ${message}`);
+                }
+            }).then(() => this.configureWebSocketServer());
+        }
+
+        // OSC remote control
+        document.getElementById('oscInputEnabled').addEventListener('change', (e) => {
+            this.setOscInputField('enabled', e.target.checked);
+        });
+        document.getElementById('oscInputPort').addEventListener('change', (e) => {
+            this.setOscInputField('port', e.target.value);
+        });
+        document.getElementById('oscInputLan').addEventListener('change', (e) => {
+            this.setOscInputField('lan', e.target.checked);
+        });
+        document.getElementById('pauseOutputBtn').addEventListener('click', () => {
+            this.setOutputPaused(!this.isOutputPaused);
+        });
+        if (this.isTauriEnvironment) {
+            listen('osc-input-status', (event) => {
+                const { running, port, message } = event.payload;
+                this.showOscInputStatus(running, message);
+                if (message) {
+                    this.logMessage(`OSC input: ${message}`);
+                } else if (running) {
+                    this.logMessage(`Listening for OSC commands on port ${port}`);
+                }
             });
+            listen('osc-command', (event) => {
+                const { address, args, from } = event.payload;
+                this.handleOscCommand(address, args, from);
+            }).then(() => this.configureOscInput());
         }
+        document.getElementById('oscMode').addEventListener('change', (e) => {
+            this.oscMode = e.target.value;
+            this.saveConfiguration();
+        });
+
+        // Handle webcam device and capture mode selection
+        const webcamDeviceSelect = document.getElementById('webcamDeviceSelect');
+        webcamDeviceSelect.addEventListener('change', async (e) => {
+            this.selectedWebcamDeviceId = e.target.value;
+            await this.refreshWebcamModes();
+            this.saveWebcamSelection();
+        });
+        document.getElementById('webcamResolutionSelect').addEventListener('change', () => this.saveWebcamSelection());
+        document.getElementById('webcamFpsSelect').addEventListener('change', () => this.saveWebcamSelection());
+
+        // Handle Wi-Fi camera URL changes
+        const networkCameraUrlInput = document.getElementById('networkCameraUrl');
+        networkCameraUrlInput.addEventListener('change', (e) => {
+            this.networkCameraUrl = e.target.value.trim();
+            this.saveConfiguration();
+        });
 
         // Handle serial port selection
         if (serialPortSelect) {
@@ -526,30 +1310,37 @@ class BabbleApp {
         }
 
         connectBtn.addEventListener('click', async () => {
-            this.reconnectOSC();
             const selectedSource = cameraSource.value;
             // Check if serial communication is supported for serial camera
             if (selectedSource === 'serial' && !this.serialCamera) {
                 this.logMessage('Serial communication is not supported in this browser. Please use a browser that supports WebSerial API (Chrome, Edge) or use the Blubber dektop app.');
             }
 
-            const camera = selectedSource === 'webcam' ? this.webcamCamera : this.serialCamera;
+            const camera = this.getCameraForSource(selectedSource);
+            let portSelection = serialPortSelect?.value;
+            if (selectedSource === 'webcam') {
+                portSelection = this.getWebcamSettings();
+            } else if (selectedSource === 'network') {
+                portSelection = this.networkCameraUrl;
+            } else if (selectedSource === 'file') {
+                portSelection = document.getElementById('recordingFile').files[0];
+            }
 
             if (!camera || !camera.isConnected) {
+                this.reconnectOSC();
                 console.log(`Connecting to ${selectedSource} camera...`);
-                if (camera && await camera.requestPort(serialPortSelect?.value)) {
-                    await camera.connect();
+                if (camera && await camera.requestPort(portSelection) && await camera.connect()) {
                     this.activeCamera = camera;
                     connectBtn.textContent = 'Disconnect';
 
                     // Block port selector and camera source when connected
                     this.updatePortSelectorState(false);
+                    this.updatePlaybackControls();
 
                     // Initialize model if not already done
                     if (!this.isModelInitialized) {
                         try {
-                            await this.model.initialize(modelUrl);
-                            this.isModelInitialized = true;
+                            await this.initializeModel();
                             // Start frame processing loop after model is initialized
                             this.startFrameProcessing();
                         } catch (err) {
@@ -563,14 +1354,48 @@ class BabbleApp {
                 }
             } else {
                 this.stopFrameProcessing();
+                // Nothing is sent until the next connect, it restarts polling
+                this.stopBridgePolling();
                 await this.activeCamera.disconnect();
                 this.activeCamera = null;
                 connectBtn.textContent = 'Connect Camera';
 
                 // Unblock port selector and camera source when disconnected
                 this.updatePortSelectorState(true);
+                this.updatePlaybackControls();
+            }
+        });
+
+        // Custom model selection
+        const modelFileInput = document.getElementById('modelFile');
+        modelFileInput.addEventListener('change', async () => {
+            await this.loadCustomModel([...modelFileInput.files]);
+            modelFileInput.value = '';
+        });
+        document.getElementById('builtinModelBtn').addEventListener('click', async () => {
+            await this.useBuiltinModel();
+        });
+
+        // Inference runtime selection
+        document.getElementById('executionProvider').addEventListener('change', async (e) => {
+            this.executionProvider = e.target.value;
+            this.model.setRuntimeOptions({ executionProvider: this.executionProvider });
+            this.saveConfiguration();
+            if (this.isModelInitialized) {
+                await this.reloadModel();
+            }
+        });
+        document.getElementById('wasmThreads').addEventListener('change', async (e) => {
+            this.wasmThreads = Math.max(0, parseInt(e.target.value) || 0);
+            e.target.value = this.wasmThreads.toString();
+            this.saveConfiguration();
+            // Changing the thread count restarts the model worker
+            if (this.model.setRuntimeOptions({ numThreads: this.wasmThreads })) {
+                this.isModelInitialized = false;
+                await this.reloadModel();
             }
         });
+        document.getElementById('benchmarkBtn').addEventListener('click', () => this.runBenchmark());
 
         flipVerticalBtn.addEventListener('click', () => {
             this.isVerticallyFlipped = !this.isVerticallyFlipped;
@@ -595,6 +1420,103 @@ class BabbleApp {
             console.error('Webcam error:', error);
             alert('Webcam error: ' + error.message);
         });
+
+        this.webcamCamera.on('negotiated', (settings) => {
+            const webcamNegotiated = document.getElementById('webcamNegotiated');
+            const frameRate = settings.frameRate ? ` @ ${Math.round(settings.frameRate)} FPS` : '';
+            webcamNegotiated.textContent = `${settings.width}x${settings.height}${frameRate}`;
+            this.logMessage(`Webcam negotiated ${settings.width}x${settings.height}${frameRate}`);
+            // Remember which device was picked when "Default camera" was selected
+            if (!this.selectedWebcamDeviceId && settings.deviceId) {
+                this.selectedWebcamDeviceId = settings.deviceId;
+                this.saveConfiguration();
+            }
+        });
+        this.webcamCamera.on('deviceLost', () => {
+            this.logMessage('Webcam was unplugged, waiting for it to come back...');
+        });
+        this.webcamCamera.on('rebound', () => {
+            this.logMessage('Webcam reconnected');
+        });
+        this.webcamCamera.on('devicesChanged', () => {
+            if (cameraSource.value === 'webcam' && !this.webcamCamera.isConnected) {
+                this.refreshWebcamDevices();
+            }
+        });
+
+        this.networkCamera.on('error', (error) => {
+            console.error('Wi-Fi camera error:', error);
+            this.logMessage('Wi-Fi camera error: ' + error.message);
+        });
+        this.networkCamera.on('connected', () => {
+            this.logMessage(`Wi-Fi camera connected to ${this.networkCamera.url}`);
+        });
+        this.networkCamera.on('reconnecting', (error) => {
+            const reason = error ? `: ${error.message}` : ' (stream ended)';
+            this.logMessage(`Wi-Fi camera not streaming${reason}, retrying...`);
+        });
+
+        this.setupPlaybackControls();
+    }
+
+    setupPlaybackControls() {
+        const playPauseBtn = document.getElementById('playPauseBtn');
+        const seekSlider = document.getElementById('seekSlider');
+        const playbackTime = document.getElementById('playbackTime');
+        const loopBtn = document.getElementById('loopBtn');
+        const playbackSpeed = document.getElementById('playbackSpeed');
+
+        playPauseBtn.addEventListener('click', async () => {
+            if (this.fileCamera.isPlaying) {
+                this.fileCamera.pause();
+            } else {
+                await this.fileCamera.play();
+            }
+            playPauseBtn.textContent = this.fileCamera.isPlaying ? 'Pause' : 'Play';
+        });
+
+        // Don't let playback move the slider while the user is dragging it
+        seekSlider.addEventListener('pointerdown', () => { this.isSeeking = true; });
+        seekSlider.addEventListener('input', (e) => {
+            this.fileCamera.seek(parseFloat(e.target.value));
+        });
+        seekSlider.addEventListener('change', () => { this.isSeeking = false; });
+
+        loopBtn.addEventListener('click', () => {
+            this.fileCamera.setLoop(!this.fileCamera.loop);
+            loopBtn.textContent = `Loop: ${this.fileCamera.loop ? 'On' : 'Off'}`;
+        });
+
+        playbackSpeed.addEventListener('change', (e) => {
+            this.fileCamera.setPlaybackRate(parseFloat(e.target.value));
+        });
+
+        this.fileCamera.on('timeupdate', (currentTime, duration) => {
+            seekSlider.max = duration.toString();
+            if (!this.isSeeking) {
+                seekSlider.value = currentTime.toString();
+            }
+            playbackTime.textContent = `${currentTime.toFixed(1)} / ${duration.toFixed(1)} s`;
+        });
+
+        this.fileCamera.on('ended', () => {
+            playPauseBtn.textContent = 'Play';
+            this.logMessage('Recording playback ended');
+        });
+
+        this.fileCamera.on('error', (error) => {
+            console.error('Recording error:', error);
+            this.logMessage('Recording error: ' + error.message);
+        });
+    }
+
+    updatePlaybackControls() {
+        const playbackControls = document.getElementById('playbackControls');
+        const isFilePlayback = this.activeCamera === this.fileCamera && this.fileCamera.isConnected;
+        playbackControls.style.display = isFilePlayback ? 'flex' : 'none';
+        if (isFilePlayback) {
+            document.getElementById('playPauseBtn').textContent = this.fileCamera.isPlaying ? 'Pause' : 'Play';
+        }
     }
 
     handleMouseDown(e) {
@@ -701,7 +1623,11 @@ class BabbleApp {
         this.lastFrameTime = timestamp;
 
         const frame = await this.activeCamera.getFrame();
-        if (!frame) return;
+        if (!frame) {
+            // No frame yet (e.g. stream reconnecting), try again later
+            this.scheduleNextFrame();
+            return;
+        }
 
         /** @type {HTMLCanvasElement} */
         const preview = document.getElementById('preview');
@@ -709,82 +1635,82 @@ class BabbleApp {
         const previewCropped = document.getElementById('previewCropped');
         const fpsCounter = document.getElementById('fpsCounter');
 
-        // Create a temporary image to load the frame data
-        const img = new Image();
-        img.onload = () => {
-            // Set main preview canvas dimensions to match the image
-            preview.width = img.width;
-            preview.height = img.height;
-            const ctx = preview.getContext('2d', { willReadFrequently: true });
-
-            // Clear the canvas
-            ctx.clearRect(0, 0, preview.width, preview.height);
-
-            // Save the current context state
-            ctx.save();
-
-            // Apply transformations based on flip states
-            if (this.isHorizontallyFlipped) {
-                ctx.translate(preview.width, 0);
-                ctx.scale(-1, 1);
-            }
-            if (this.isVerticallyFlipped) {
-                ctx.translate(0, preview.height);
-                ctx.scale(1, -1);
-            }
+        // Set main preview canvas dimensions to match the frame
+        if (preview.width !== frame.width || preview.height !== frame.height) {
+            preview.width = frame.width;
+            preview.height = frame.height;
+        }
+        // No pixel readback happens here, so keep the canvas GPU-backed
+        const ctx = preview.getContext('2d');
 
-            // Draw the transformed image
-            ctx.drawImage(img, 0, 0);
+        // Clear the canvas
+        ctx.clearRect(0, 0, preview.width, preview.height);
 
-            // Restore the context state
-            ctx.restore();
+        // Save the current context state
+        ctx.save();
 
-            // Draw crop rectangle overlay
-            if (this.cropRect.width > 0 && this.cropRect.height > 0) {
-                ctx.strokeStyle = '#00ff00';
-                ctx.lineWidth = 2;
-                ctx.strokeRect(
-                    this.cropRect.x,
-                    this.cropRect.y,
-                    this.cropRect.width,
-                    this.cropRect.height
-                );
+        // Apply transformations based on flip states
+        if (this.isHorizontallyFlipped) {
+            ctx.translate(preview.width, 0);
+            ctx.scale(-1, 1);
+        }
+        if (this.isVerticallyFlipped) {
+            ctx.translate(0, preview.height);
+            ctx.scale(1, -1);
+        }
 
-                // Set up cropped preview canvas - always use IMAGE_SIZE
+        // Draw the decoded frame directly, synchronously, while the camera still holds it
+        ctx.drawImage(frame.image, 0, 0);
+
+        // Restore the context state
+        ctx.restore();
+
+        // Draw crop rectangle overlay
+        if (this.cropRect.width > 0 && this.cropRect.height > 0) {
+            ctx.strokeStyle = '#00ff00';
+            ctx.lineWidth = 2;
+            ctx.strokeRect(
+                this.cropRect.x,
+                this.cropRect.y,
+                this.cropRect.width,
+                this.cropRect.height
+            );
+
+            // Set up cropped preview canvas - always use IMAGE_SIZE
+            if (previewCropped.width !== IMAGE_SIZE || previewCropped.height !== IMAGE_SIZE) {
                 previewCropped.width = IMAGE_SIZE;
                 previewCropped.height = IMAGE_SIZE;
-                const ctxCropped = previewCropped.getContext('2d');
-
-                // Clear the cropped canvas
-                ctxCropped.clearRect(0, 0, IMAGE_SIZE, IMAGE_SIZE);
+            }
+            const ctxCropped = previewCropped.getContext('2d');
 
-                // Save state before transformations
-                ctxCropped.save();
+            // Clear the cropped canvas
+            ctxCropped.clearRect(0, 0, IMAGE_SIZE, IMAGE_SIZE);
 
-                // Apply the same flip transformations to the cropped preview
-                if (this.isHorizontallyFlipped) {
-                    ctxCropped.translate(IMAGE_SIZE, 0);
-                    ctxCropped.scale(-1, 1);
-                }
-                if (this.isVerticallyFlipped) {
-                    ctxCropped.translate(0, IMAGE_SIZE);
-                    ctxCropped.scale(1, -1);
-                }
+            // Save state before transformations
+            ctxCropped.save();
 
-                // Draw the cropped region, scaling to IMAGE_SIZE
-                ctxCropped.drawImage(
-                    img,
-                    this.cropRect.x, this.cropRect.y,
-                    this.cropRect.width, this.cropRect.height,
-                    0, 0,
-                    IMAGE_SIZE, IMAGE_SIZE
-                );
-
-                // Restore the cropped canvas state
-                ctxCropped.restore();
+            // Apply the same flip transformations to the cropped preview
+            if (this.isHorizontallyFlipped) {
+                ctxCropped.translate(IMAGE_SIZE, 0);
+                ctxCropped.scale(-1, 1);
             }
-        };
-        img.src = frame.imageUrl;
+            if (this.isVerticallyFlipped) {
+                ctxCropped.translate(0, IMAGE_SIZE);
+                ctxCropped.scale(1, -1);
+            }
+
+            // Draw the cropped region, scaling to IMAGE_SIZE
+            ctxCropped.drawImage(
+                frame.image,
+                this.cropRect.x, this.cropRect.y,
+                this.cropRect.width, this.cropRect.height,
+                0, 0,
+                IMAGE_SIZE, IMAGE_SIZE
+            );
+
+            // Restore the cropped canvas state
+            ctxCropped.restore();
+        }
 
         // Show our actual processing FPS instead of camera FPS
         fpsCounter.textContent = `FPS: ${this.currentFps.toFixed(1)}`;
@@ -793,29 +1719,39 @@ class BabbleApp {
             // Only run prediction if the previous one is complete and we have a valid crop
             if (!this.isPredicting && this.cropRect.width > 0 && this.cropRect.height > 0) {
                 this.isPredicting = true;
-                // Use the cropped preview for predictions
-                const unfilteredPredictions = await this.model.predict(previewCropped);
-                
-                // Apply One Euro Filter to the predictions
-                const filteredPredictions = this.oneEuroFilter.filter(unfilteredPredictions, timestamp / 1000.0);
-                
+                // Use the cropped preview for predictions, the worker also applies the filter chain
+                const {
+                    raw: unfilteredPredictions,
+                    filtered: filteredPredictions,
+                    timing
+                } = await this.model.predictFiltered(previewCropped, timestamp / 1000.0);
+                this.updateInferenceTime(timing);
+
                 let outputPredictions = this.isFilterEnabled ? filteredPredictions : unfilteredPredictions;
                 // Apply calibration rescaling after filtering
                 const rescaledPredictions = this.rescaleBlendshapes(outputPredictions);
+                // Shape each blendshape's output (gain, deadzone, curve, clamp) last
+                const shapedPredictions = this.applyOutputStages(rescaledPredictions);
+                this.updateOutputEditorMarker(rescaledPredictions);
                 // Update blendshapes with both predictions for display
-                this.updateBlendshapes(unfilteredPredictions, rescaledPredictions);
+                this.updateBlendshapes(unfilteredPredictions, shapedPredictions, frame.timestamp ?? timestamp, filteredPredictions);
                 this.isPredicting = false;
                 // Record blendshape ranges during calibration
                 this.recordBlendshapeRanges(unfilteredPredictions);
+                this.updateCalibrationWizard(unfilteredPredictions);
             }
         } catch (err) {
             console.error('Prediction error:', err);
             this.isPredicting = false;
         }
 
+        this.scheduleNextFrame();
+    }
+
+    scheduleNextFrame() {
         // Schedule next frame if still connected using setTimeout instead of requestAnimationFrame
         // This ensures processing continues even when the tab loses focus
-        if (this.isProcessingFrames && this.activeCamera.isConnected) {
+        if (this.isProcessingFrames && this.activeCamera?.isConnected) {
             this.frameTimeoutId = setTimeout(() => this.processFrame(), this.frameInterval);
         }
     }
@@ -840,7 +1776,14 @@ class BabbleApp {
         }
     }
 
-    async updateBlendshapes(unfilteredPredictions, filteredPredictions) {
+    /**
+     * Show the values and send them out
+     * @param {Float32Array} unfilteredPredictions - Raw predictions
+     * @param {Float32Array} filteredPredictions - Values to send
+     * @param {number} captureTime - Frame capture time in milliseconds since the epoch
+     * @param {Float32Array} chainPredictions - Filter chain output before calibration, for JSON output
+     */
+    async updateBlendshapes(unfilteredPredictions, filteredPredictions, captureTime = Date.now(), chainPredictions = null) {
 
         // Update values for each blendshape without recreating HTML
         filteredPredictions.forEach((_, index) => {
@@ -862,44 +1805,819 @@ class BabbleApp {
             if (valueSpan) valueSpan.textContent = `${(filteredPosValue * 100).toFixed(1)}%`;
         });
 
-        // Get the selected UDP port
-        const udpPortInput = document.getElementById('udpPort');
-        const udpPort = parseInt(udpPortInput.value) || 8888;
+        // Add the derived outputs and key the output values by their OSC address
+        const derivedValues = evaluateDerivedOutputs(this.compiledDerivedOutputs, this.model.blendshapeNames, filteredPredictions);
+        this.updateDerivedOutputPreview(derivedValues);
+        if (this.isOutputPaused) return;
+        const unified = this.outputMode === 'unified';
+        const output = combineOutputs(
+            this.model.blendshapeNames, filteredPredictions, this.compiledDerivedOutputs, derivedValues,
+            unified ? 'only' : this.derivedOutputMode
+        );
+        let blendshapes = mapOutputValues(this.outputMapping, output.names, output.values);
+        if (unified) {
+            blendshapes = {
+                ...createUnifiedParameters(this.model.blendshapeNames, filteredPredictions, {
+                    binaryBits: this.unifiedBinaryBits,
+                    binaryParameters: this.unifiedBinaryParameters
+                }),
+                ...blendshapes
+            };
+        }
 
-        // Create blendshapes object using output predictions
-        const blendshapes = {};
-        BabbleModel.blendshapeNames.forEach((name, index) => {
-            blendshapes[name] = filteredPredictions[index];
-        });
+        const destinations = this.destinations.filter(destination => destination.enabled);
+        // JSON destinations get the values by name, independent of OSC addresses and output mode
+        const server = this.isTauriEnvironment && this.websocketServer.enabled ? this.websocketServer : null;
+        let json = null;
+        if (destinations.some(destination => destination.format === 'json') || server?.json) {
+            const names = this.model.blendshapeNames;
+            const withRaw = (server?.json && server.includeRaw) ||
+                destinations.some(destination => destination.format === 'json' && destination.includeRaw);
+            const values = unified
+                ? combineOutputs(names, filteredPredictions, this.compiledDerivedOutputs, derivedValues, this.derivedOutputMode)
+                : output;
+            json = {
+                frame: this.outputFrameNumber,
+                timestamp: captureTime,
+                data: toValueMap(values.names, values.values),
+                raw: withRaw ? toValueMap(names, unfilteredPredictions) : undefined,
+                filtered: withRaw ? toValueMap(names, chainPredictions ?? filteredPredictions) : undefined
+            };
+        }
+        this.outputFrameNumber++;
 
-        const udpStatus = document.querySelector('#udpStatus');
         if (this.isTauriEnvironment) {
-            console.log(`Sending OSC blendshapes to UDP port ${udpPort}...`);
-            await emit('send_blendshapes', { data: blendshapes, port: udpPort });
-            this.logMessage(`Sent ${BabbleModel.blendshapeNames.length} blendshapes to port ${udpPort}`);
-            udpStatus.textContent = 'UDP';
-        } else if (this.oscClient) {
-            if (this.oscClient.port !== udpPort) {
-                console.warn(`OSC client port mismatch: was ${this.oscClient.port}, using ${udpPort}`);
-                this.reconnectOSC();
+            console.log(`Sending blendshapes to ${destinations.length} UDP destination(s)...`);
+            await emit('send_blendshapes', {
+                data: blendshapes,
+                json,
+                destinations,
+                bundle: this.oscMode === 'bundle',
+                timestamp: captureTime
+            });
+            this.logMessage(`Sent ${Object.keys(blendshapes).length} blendshapes to ${destinations.map(describeDestination).join(', ') || 'no destination'}`);
+        } else {
+            // send blendshapes via OSC or JSON websocket
+            destinations.forEach(destination => {
+                const client = this.oscClients.get(destination.id);
+                if (!client) return;
+                if (destination.format === 'json') {
+                    client.send(serializeJsonFrame(json, destination.includeRaw));
+                } else {
+                    client.sendBlendshapes(blendshapes, { bundle: this.oscMode === 'bundle', timestamp: captureTime });
+                }
+                const isOpen = client.isOpen;
+                this.setDestinationStatus(destination.id, isOpen ? 'WS' : 'WS ERR', isOpen ? '' : client.error || 'WebSocket is not connected');
+            });
+        }
+    }
+
+    /**
+     * One row per destination: enabled, host, port, format and status
+     */
+    renderDestinations() {
+        const list = document.getElementById('destinationList');
+        if (!list) return;
+
+        // Built with DOM APIs, ids and hosts come from stored or imported configurations
+        const create = (tag, properties = {}, data = {}) => {
+            const element = Object.assign(document.createElement(tag), properties);
+            Object.assign(element.dataset, data);
+            return element;
+        };
+        list.replaceChildren(...this.destinations.map(destination => {
+            const row = create('div', { className: 'destination-row' }, { id: destination.id });
+            const format = create('select', { title: 'Output format' }, { field: 'format' });
+            format.append(...Object.entries(DESTINATION_FORMATS).map(([key, label]) =>
+                create('option', { value: key, textContent: label, selected: key === destination.format })));
+            const raw = create('label', { title: 'Add raw and filtered values to each JSON frame' });
+            raw.style.display = destination.format === 'json' ? '' : 'none';
+            raw.append(create('input', { type: 'checkbox', checked: destination.includeRaw }, { field: 'includeRaw' }), ' Raw');
+            row.append(
+                create('input', { type: 'checkbox', checked: destination.enabled, title: 'Send to this destination' }, { field: 'enabled' }),
+                create('input', { type: 'text', value: destination.host, placeholder: '127.0.0.1', title: 'Host' }, { field: 'host' }),
+                create('input', { type: 'number', value: destination.port, min: 1, max: 65535, title: 'Port' }, { field: 'port' }),
+                format,
+                raw,
+                create('span', { className: 'udpStatus destination-status' })
+            );
+            if (!this.isTauriEnvironment && destination.enabled && destination.format === 'osc') {
+                const bridge = create('span', { className: 'udpStatus destination-bridge' });
+                bridge.style.display = 'none';
+                row.append(bridge);
+            }
+            row.append(create('button', { textContent: '×', title: 'Remove this destination' }, { action: 'remove' }));
+            return row;
+        }));
+        this.destinations.forEach(destination => {
+            const status = this.destinationStatus.get(destination.id);
+            this.showDestinationStatus(destination.id, destination.enabled ? status?.text ?? '' : 'off', status?.message ?? '');
+            this.showBridgeStatus(destination.id);
+        });
+    }
+
+    /**
+     * Take over an edited destination field, invalid hosts and ports are rejected
+     * @param {string} id - Destination id
+     * @param {string} field - 'enabled', 'host', 'port', 'format' or 'includeRaw'
+     * @param {boolean|string} value - New value
+     */
+    setDestinationField(id, field, value) {
+        const destination = this.destinations.find(destination => destination.id === id);
+        if (!destination) return;
+
+        if (field === 'host') {
+            value = value.trim();
+            if (!isValidHost(value)) {
+                this.logMessage(`Invalid host "${value}"`);
+                this.renderDestinations();
+                return;
+            }
+        } else if (field === 'port') {
+            value = parseInt(value);
+            if (!Number.isInteger(value) || value < 1 || value > 65535) {
+                this.logMessage('Port must be between 1 and 65535');
+                this.renderDestinations();
+                return;
+            }
+        }
+        destination[field] = value;
+        this.destinationStatus.delete(id);
+        this.bridgeStatus.delete(id);
+        this.onDestinationsChanged();
+    }
+
+    /**
+     * Show the WebSocket server settings
+     */
+    renderWebSocketServer() {
+        const { enabled, port, json, osc, includeRaw, lan, allowedOrigins } = this.websocketServer;
+        const enabledCheckbox = document.getElementById('websocketServerEnabled');
+        if (!enabledCheckbox) return;
+        enabledCheckbox.checked = enabled;
+        document.getElementById('websocketServerPort').value = port;
+        document.getElementById('websocketServerJson').checked = json;
+        document.getElementById('websocketServerRaw').checked = includeRaw;
+        document.getElementById('websocketServerRaw').disabled = !json;
+        document.getElementById('websocketServerOsc').checked = osc;
+        document.getElementById('websocketServerLan').checked = lan;
+        document.getElementById('websocketServerOrigins').value = allowedOrigins.join(', ');
+        if (!enabled) {
+            this.showWebSocketServerStatus(false, 0, '');
+        }
+    }
+
+    /**
+     * Take over an edited WebSocket server setting and pass the settings to the backend
+     * @param {string} field - 'enabled', 'port', 'json', 'osc', 'includeRaw', 'lan' or 'allowedOrigins'
+     * @param {boolean|string} value - New value
+     */
+    setWebSocketServerField(field, value) {
+        if (field === 'port') {
+            value = parseInt(value);
+            if (!Number.isInteger(value) || value < 1 || value > 65535) {
+                this.logMessage('Port must be between 1 and 65535');
+                this.renderWebSocketServer();
+                return;
+            }
+        } else if (field === 'allowedOrigins') {
+            value = value.split(/[\s,]+/).filter(Boolean).map(origin => origin.replace(/\/$/, ''));
+            const invalid = value.find(origin => !isValidOrigin(origin));
+            if (invalid) {
+                this.logMessage(`Invalid origin "${invalid}", use e.g. https://overlay.example`);
+                this.renderWebSocketServer();
+                return;
+            }
+        }
+        this.websocketServer[field] = value;
+        this.renderWebSocketServer();
+        this.configureWebSocketServer();
+        this.saveConfiguration(true);
+    }
+
+    /**
+     * Start, restart or stop the backend's WebSocket server to match the settings
+     */
+    async configureWebSocketServer() {
+        if (!this.isTauriEnvironment) return;
+        try {
+            await emit('configure_websocket_server', this.websocketServer);
+        } catch (error) {
+            this.logMessage(`Failed to configure the WebSocket server: ${error.message ?? error}`);
+        }
+    }
+
+    /**
+     * @param {boolean} running - Whether the server is listening
+     * @param {number} clients - Connected clients
+     * @param {string} message - Error, if any
+     */
+    showWebSocketServerStatus(running, clients, message) {
+        const status = document.getElementById('websocketServerStatus');
+        if (!status) return;
+        if (message) {
+            status.textContent = 'ERR';
+        } else if (running) {
+            status.textContent = clients === 1 ? '1 client' : `${clients} clients`;
+        } else {
+            status.textContent = 'off';
+        }
+        status.title = message;
+        status.classList.toggle('error', Boolean(message));
+    }
+
+    renderOscInput() {
+        const enabledCheckbox = document.getElementById('oscInputEnabled');
+        if (!enabledCheckbox) return;
+        enabledCheckbox.checked = this.oscInput.enabled;
+        document.getElementById('oscInputPort').value = this.oscInput.port;
+        document.getElementById('oscInputLan').checked = this.oscInput.lan;
+        if (!this.oscInput.enabled) {
+            this.showOscInputStatus(false, '');
+        }
+    }
+
+    /**
+     * Take over an edited OSC input setting and pass the settings to the backend
+     * @param {string} field - 'enabled', 'port' or 'lan'
+     * @param {boolean|string} value - New value
+     */
+    setOscInputField(field, value) {
+        if (field === 'port') {
+            value = parseInt(value);
+            if (!Number.isInteger(value) || value < 1 || value > 65535) {
+                this.logMessage('Port must be between 1 and 65535');
+                this.renderOscInput();
+                return;
             }
-            // send blendshapes via OSC websocket
-            console.log(`Sending OSC blendshapes to Websocket on port ${this.oscClient.port}...`);
-            this.oscClient.sendBlendshapes(blendshapes);
-            udpStatus.textContent = (this.oscClient.osc.status() == this.oscClient.STATUS.IS_OPEN) ? 'WS' : 'WS ERR';
+        }
+        this.oscInput[field] = value;
+        this.renderOscInput();
+        this.configureOscInput();
+        this.saveConfiguration(true);
+    }
+
+    /**
+     * Start, restart or stop listening for OSC commands to match the settings
+     */
+    async configureOscInput() {
+        if (!this.isTauriEnvironment) return;
+        try {
+            await emit('configure_osc_input', this.oscInput);
+        } catch (error) {
+            this.logMessage(`Failed to configure the OSC input: ${error.message ?? error}`);
+        }
+    }
+
+    /**
+     * @param {boolean} running - Whether the port is open
+     * @param {string} message - Error, if any
+     */
+    showOscInputStatus(running, message) {
+        const status = document.getElementById('oscInputStatus');
+        if (!status) return;
+        status.textContent = message ? 'ERR' : running ? 'listening' : 'off';
+        status.title = message;
+        status.classList.toggle('error', Boolean(message));
+    }
+
+    /**
+     * @param {boolean} paused - Stop sending to destinations and WebSocket clients
+     */
+    setOutputPaused(paused) {
+        this.isOutputPaused = paused;
+        const pauseOutputBtn = document.getElementById('pauseOutputBtn');
+        if (pauseOutputBtn) {
+            pauseOutputBtn.textContent = `Output: ${paused ? 'Paused' : 'On'}`;
+        }
+        this.logMessage(paused ? 'Output paused' : 'Output resumed');
+    }
+
+    /**
+     * Carry out an OSC remote control command. Commands that start or stop something ignore a
+     * false or 0 argument, so avatar menu buttons only trigger when pressed.
+     * @param {string} address - e.g. '/blubber/profile'
+     * @param {Array} args - Message arguments
+     * @param {string} from - Sender address
+     */
+    async handleOscCommand(address, args, from) {
+        const [arg] = args;
+        const isSet = arg === undefined || (arg !== false && arg !== 0);
+        this.logMessage(`OSC command from ${from}: ${[address, ...args.map(value => JSON.stringify(value))].join(' ')}`);
+
+        switch (address) {
+            case '/blubber/calibrate/start':
+                if (!isSet) return;
+                if (!this.isProcessingFrames) {
+                    this.logMessage('Cannot calibrate, the camera is not running');
+                } else if (this.isCalibrationEnabled || this.calibrationWizard.isActive) {
+                    this.logMessage('Calibration is already running');
+                } else {
+                    this.toggleCalibration();
+                }
+                break;
+            case '/blubber/calibrate/stop':
+                if (!isSet) return;
+                if (this.isCalibrationEnabled) {
+                    this.stopCalibration();
+                }
+                break;
+            case '/blubber/filter/enable': {
+                this.isFilterEnabled = isSet;
+                const filterToggleBtn = document.getElementById('filterToggleBtn');
+                if (filterToggleBtn) {
+                    filterToggleBtn.textContent = `Filter: ${this.isFilterEnabled ? 'On' : 'Off'}`;
+                }
+                this.saveConfiguration();
+                break;
+            }
+            case '/blubber/profile':
+                if (typeof arg !== 'string' || !this.profiles[arg]) {
+                    this.logMessage(`Unknown profile ${JSON.stringify(arg)}, known profiles: ${Object.keys(this.profiles).join(', ')}`);
+                } else {
+                    await this.switchProfile(arg);
+                }
+                break;
+            case '/blubber/pause':
+                // Without an argument the command toggles
+                this.setOutputPaused(arg === undefined ? !this.isOutputPaused : isSet);
+                break;
+            default:
+                this.logMessage(`Unknown OSC command ${address}`);
+        }
+    }
+
+    onDestinationsChanged() {
+        this.renderDestinations();
+        this.reconnectOSC();
+        this.saveConfiguration(true);
+    }
+
+    /**
+     * Remember and show the status of a destination
+     * @param {string} id - Destination id
+     * @param {string} text - Short status, e.g. 'UDP' or 'WS ERR'
+     * @param {string} message - Details shown on hover
+     */
+    setDestinationStatus(id, text, message = '') {
+        const status = this.destinationStatus.get(id);
+        if (status?.text === text && status?.message === message) return;
+        this.destinationStatus.set(id, { text, message });
+        this.showDestinationStatus(id, text, message);
+    }
+
+    showDestinationStatus(id, text, message) {
+        const element = document.querySelector(`.destination-row[data-id="${CSS.escape(id)}"] .destination-status`);
+        if (!element) return;
+        element.textContent = text;
+        element.title = message;
+        element.classList.toggle('error', text.endsWith('ERR'));
+    }
+
+    /**
+     * Parse the derived outputs against the current model's blendshapes and show them
+     */
+    updateDerivedOutputs() {
+        this.compiledDerivedOutputs = compileDerivedOutputs(this.derivedOutputs, this.model.blendshapeNames);
+        this.renderDerivedOutputs();
+        this.renderOutputMapping();
+    }
+
+    renderDerivedOutputs() {
+        const list = document.getElementById('derivedOutputList');
+        if (!list) return;
+
+        document.getElementById('derivedOutputMode').value = this.derivedOutputMode;
+        const escapeAttribute = text => text.replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+        list.innerHTML = this.compiledDerivedOutputs.map((output, index) => `
+            <div class="derived-output-row ${output.error ? 'invalid' : ''}" data-index="${index}" title="${escapeAttribute(output.error || '')}">
+                <input type="text" data-field="name" value="${escapeAttribute(this.derivedOutputs[index].name)}" placeholder="Name">
+                <input type="text" data-field="expression" value="${escapeAttribute(this.derivedOutputs[index].expression)}" placeholder="jawRight - jawLeft">
+                <div class="progress"><div class="progress-bar filtered" id="derived-${index}" style="width: 0%;"></div></div>
+                <span class="value" id="derived-value-${index}">${output.error ? 'error' : ''}</span>
+                <button data-action="remove" title="Remove this output">&times;</button>
+            </div>
+            ${output.error ? `<div class="derived-output-error">${output.error.replace(/</g, '&lt;')}</div>` : ''}
+        `).join('');
+    }
+
+    /**
+     * Show the derived values of the current frame. Bars start in the middle, so
+     * differences like JawX show their sign.
+     * @param {Float32Array} values - Result of evaluateDerivedOutputs
+     */
+    updateDerivedOutputPreview(values) {
+        values.forEach((value, index) => {
+            const bar = document.getElementById(`derived-${index}`);
+            const valueSpan = document.getElementById(`derived-value-${index}`);
+            if (!bar || !Number.isFinite(value)) return;
+            const clamped = Math.max(-1, Math.min(1, value));
+            bar.style.marginLeft = `${50 + Math.min(0, clamped) * 50}%`;
+            bar.style.width = `${Math.abs(clamped) * 50}%`;
+            valueSpan.textContent = value.toFixed(3);
+        });
+    }
+
+    /**
+     * Take over an edited derived output row
+     * @param {number} index - Row index
+     * @param {string} field - 'name' or 'expression'
+     * @param {string} value - New text
+     */
+    setDerivedOutput(index, field, value) {
+        const output = this.derivedOutputs[index];
+        const oldName = output.name;
+        output[field] = value.trim();
+        // The address table entry follows a renamed output
+        if (field === 'name' && oldName in this.outputMapping.addresses && !this.model.blendshapeNames.includes(oldName)) {
+            this.outputMapping.addresses[output.name] = this.outputMapping.addresses[oldName];
+            delete this.outputMapping.addresses[oldName];
+        }
+        this.updateDerivedOutputs();
+        const error = this.compiledDerivedOutputs[index].error;
+        if (error) {
+            this.logMessage(`Derived output ${output.name || index + 1}: ${error}`);
+        }
+        this.saveConfiguration(true);
+    }
+
+    /**
+     * Show the address preset and one row per blendshape: whether it is sent and its own
+     * address, empty for the preset address
+     */
+    renderOutputMapping() {
+        const list = document.getElementById('addressList');
+        if (!list) return;
+
+        const presetSelect = document.getElementById('addressPreset');
+        const prefixInput = document.getElementById('addressPrefix');
+        const unified = this.outputMode === 'unified';
+        document.getElementById('outputMode').value = this.outputMode;
+        document.getElementById('unifiedOptions').style.display = unified ? '' : 'none';
+        document.getElementById('unifiedOutputHelp').style.display = unified ? '' : 'none';
+        document.getElementById('unifiedBinaryBits').value = this.unifiedBinaryBits;
+        document.getElementById('unifiedBinaryParameters').value = this.unifiedBinaryParameters.join(', ');
+        presetSelect.value = this.outputMapping.preset;
+        prefixInput.value = this.outputMapping.prefix;
+        prefixInput.style.display = this.outputMapping.preset === 'custom' ? '' : 'none';
+        // Custom addresses may contain quotes
+        const escapeAttribute = text => text.replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+
+        const derivedNames = this.compiledDerivedOutputs.filter(output => !output.error).map(output => output.name);
+        // Blendshapes are translated in Unified Expressions mode, only derived outputs use the table then
+        const names = unified ? derivedNames : [...this.model.blendshapeNames, ...derivedNames];
+        list.innerHTML = names.map(name => {
+            const address = this.outputMapping.addresses[name];
+            return `
+                <div class="address-row">
+                    <input type="checkbox" ${address === null ? '' : 'checked'} title="Send this blendshape">
+                    <span class="label"></span>
+                    <input type="text" class="address-input" value="${escapeAttribute(address || '')}"
+                        placeholder="${escapeAttribute(getPresetAddress(this.outputMapping, name))}" ${address === null ? 'disabled' : ''}>
+                </div>
+            `;
+        }).join('');
+        // Names come from the model's sidecar and the derived outputs
+        list.querySelectorAll('.address-row').forEach((row, index) => {
+            row.querySelector('.label').textContent = names[index];
+            row.querySelectorAll('input').forEach(input => {
+                input.dataset.name = names[index];
+            });
+        });
+    }
+
+    /**
+     * Take over an edited row of the address table
+     * @param {string} name - Blendshape name
+     */
+    setOutputAddress(name) {
+        const row = document.querySelector(`#addressList .address-input[data-name="${CSS.escape(name)}"]`);
+        const enabled = document.querySelector(`#addressList input[type="checkbox"][data-name="${CSS.escape(name)}"]`).checked;
+        const address = row.value.trim();
+        row.disabled = !enabled;
+
+        if (!enabled) {
+            this.outputMapping.addresses[name] = null;
+        } else if (!address) {
+            delete this.outputMapping.addresses[name];
+        } else if (isValidAddress(address)) {
+            this.outputMapping.addresses[name] = address;
         } else {
-            this.logMessage('No OSC client available to send blendshapes');
+            row.classList.add('invalid');
+            this.logMessage(`Invalid OSC address for ${name}: "${address}" (must start with / and contain no spaces or #*,?[]{})`);
+            return;
         }
+        row.classList.remove('invalid');
+        this.saveConfiguration(true);
     }
 
     updateFilter() {
-        // Create a new filter with updated parameters
-        this.oneEuroFilter = new MultiOneEuroFilter(
-            BabbleModel.blendshapeNames.length,
-            this.filterParams.minCutoff,
-            this.filterParams.beta,
-            this.filterParams.dCutoff
-        );
+        // Recreate the worker's filter chain with updated stages
+        this.model.setFilterChain(this.filterChain);
+    }
+
+    /**
+     * HTML for the parameter sliders of a filter stage type
+     * @param {string} type - Key of FILTER_TYPES
+     * @param {Object} values - Current parameter values
+     */
+    getFilterSlidersHTML(type, values) {
+        return Object.entries(FILTER_TYPES[type].params).map(([key, spec]) => `
+            <div class="filter-param">
+                <label>${spec.label}: <span data-value="${key}">${values[key]}</span></label>
+                <input type="range" data-param="${key}" min="${spec.min}" max="${spec.max}" step="${spec.step}" value="${values[key]}">
+            </div>
+        `).join('');
+    }
+
+    renderFilterChain() {
+        const container = document.getElementById('filterChain');
+        container.innerHTML = this.filterChain.map((stage, index) => `
+            <div class="filter-stage" data-index="${index}">
+                <span class="filter-stage-title">${index + 1}. ${FILTER_TYPES[stage.type].label}</span>
+                <label class="filter-stage-enabled"><input type="checkbox" data-action="enable" ${stage.enabled ? 'checked' : ''}> On</label>
+                ${this.getFilterSlidersHTML(stage.type, stage.params)}
+                <button data-action="up" title="Move up" ${index === 0 ? 'disabled' : ''}>&uarr;</button>
+                <button data-action="down" title="Move down" ${index === this.filterChain.length - 1 ? 'disabled' : ''}>&darr;</button>
+                <button data-action="remove" title="Remove stage">&times;</button>
+            </div>
+        `).join('') || '<span class="filter-stage-title">No filter stages, values pass through unfiltered</span>';
+        this.populateFilterOverrideStages();
+    }
+
+    populateFilterOverrideStages() {
+        const select = document.getElementById('filterOverrideStage');
+        const selected = parseInt(select.value);
+        select.innerHTML = this.filterChain.map((stage, index) =>
+            `<option value="${index}">${index + 1}. ${FILTER_TYPES[stage.type].label}</option>`
+        ).join('');
+        if (selected < this.filterChain.length) {
+            select.value = selected.toString();
+        }
+        this.populateFilterOverrideTargets();
+    }
+
+    /**
+     * Get the stage selected in the override editor
+     * @returns {Object|null} Filter chain stage
+     */
+    getFilterOverrideStage() {
+        return this.filterChain[parseInt(document.getElementById('filterOverrideStage').value)] || null;
+    }
+
+    populateFilterOverrideTargets() {
+        const select = document.getElementById('filterOverrideTarget');
+        const stage = this.getFilterOverrideStage();
+        const selected = select.value;
+        const optionLabel = (name, override) => override && Object.keys(override).length > 0 ? `${name} *` : name;
+
+        select.innerHTML = stage ? `
+            <optgroup label="Groups">
+                ${FILTER_GROUPS.map(group => `<option value="groups:${group}">${optionLabel(group, stage.groups[group])}</option>`).join('')}
+            </optgroup>
+            <optgroup label="Blendshapes">
+                ${this.model.blendshapeNames.map(name => `<option value="blendshapes:${name}">${optionLabel(name, stage.blendshapes[name])}</option>`).join('')}
+            </optgroup>
+        ` : '';
+        if (selected && select.querySelector(`option[value="${selected}"]`)) {
+            select.value = selected;
+        }
+        this.showFilterOverride();
+    }
+
+    /**
+     * Get the group or blendshape selected in the override editor
+     * @returns {{kind: 'groups'|'blendshapes', key: string}}
+     */
+    getFilterOverrideTarget() {
+        const [kind, key] = document.getElementById('filterOverrideTarget').value.split(':');
+        return { kind, key };
+    }
+
+    showFilterOverride() {
+        const container = document.getElementById('filterOverrideParams');
+        const resetOverrideBtn = document.getElementById('resetOverrideBtn');
+        const stage = this.getFilterOverrideStage();
+        const { kind, key } = this.getFilterOverrideTarget();
+        if (!stage || !key) {
+            container.innerHTML = '';
+            delete container.dataset.type;
+            resetOverrideBtn.disabled = true;
+            return;
+        }
+
+        // A group inherits the stage's parameters, a blendshape also inherits its group
+        const effective = kind === 'groups'
+            ? resolveBlendshapeFilterParams({ ...stage, blendshapes: {} }, key)
+            : resolveBlendshapeFilterParams(stage, key);
+        const override = stage[kind][key] || {};
+
+        // Only rebuild the sliders when the stage type changes, so dragging is not interrupted
+        if (container.dataset.type !== stage.type) {
+            container.innerHTML = this.getFilterSlidersHTML(stage.type, effective);
+            container.dataset.type = stage.type;
+        }
+        Object.keys(FILTER_TYPES[stage.type].params).forEach(param => {
+            container.querySelector(`[data-param="${param}"]`).value = effective[param].toString();
+            container.querySelector(`[data-value="${param}"]`).textContent =
+                `${effective[param]}${param in override ? '' : ' (inherited)'}`;
+        });
+
+        let inheritedFrom = 'the stage settings';
+        if (kind === 'blendshapes' && getBlendshapeGroup(key)) {
+            inheritedFrom = `the ${getBlendshapeGroup(key)} group`;
+        }
+        resetOverrideBtn.disabled = Object.keys(override).length === 0;
+        resetOverrideBtn.title = `Remove the override and use ${inheritedFrom}`;
+    }
+
+    setFilterOverride(param, value) {
+        const stage = this.getFilterOverrideStage();
+        const { kind, key } = this.getFilterOverrideTarget();
+        if (!stage || !key) return;
+        stage[kind][key] = { ...stage[kind][key], [param]: value };
+        this.updateFilter();
+        this.populateFilterOverrideTargets();
+        this.saveConfiguration();
+    }
+
+    resetFilterOverride() {
+        const stage = this.getFilterOverrideStage();
+        const { kind, key } = this.getFilterOverrideTarget();
+        if (!stage || !key) return;
+        delete stage[kind][key];
+        this.updateFilter();
+        this.populateFilterOverrideTargets();
+        this.saveConfiguration(true);
+    }
+
+    updateInferenceTime(timing) {
+        // Smooth the displayed timings like the FPS counter
+        const smooth = (previous, value) => previous === undefined ? value : previous * 0.9 + value * 0.1;
+        this.inferenceMs = smooth(this.inferenceMs, timing.inferenceMs);
+        this.roundTripMs = smooth(this.roundTripMs, timing.totalMs);
+
+        const inferenceTime = document.getElementById('inferenceTime');
+        inferenceTime.textContent = `Inference: ${this.inferenceMs.toFixed(1)} / ${this.roundTripMs.toFixed(1)} ms`;
+    }
+
+    /**
+     * Load the remembered custom model, falling back to the built-in one
+     */
+    async initializeModel() {
+        if (this.customModel) {
+            try {
+                const record = await this.modelStorage.loadModel(CUSTOM_MODEL_KEY);
+                if (!record) {
+                    throw new Error('the stored model file is missing');
+                }
+                // Stored sidecars get the same checks as picked ones
+                const sidecar = this.customModel.sidecar
+                    ? BabbleModel.parseSidecar(JSON.stringify(this.customModel.sidecar))
+                    : null;
+                await this.model.initialize(record.data, sidecar);
+                this.onModelLoaded(this.customModel.name);
+                return;
+            } catch (err) {
+                this.logMessage(`Failed to load custom model ${this.customModel.name}: ${err.message}. Using the built-in model`);
+            }
+        }
+        const source = await this.getModelSource(modelUrl);
+        await this.model.initialize(modelUrl);
+        this.onModelLoaded(`Built-in, from ${source}`);
+    }
+
+    /**
+     * Tell whether the service worker will serve a model from its cache
+     * @param {string} url - Model URL
+     * @returns {Promise<string>} 'cache' or 'network'
+     */
+    async getModelSource(url) {
+        if (!('caches' in window) || !navigator.serviceWorker?.controller) {
+            return 'network';
+        }
+        try {
+            const absoluteUrl = new URL(url, window.location.href).toString();
+            return await caches.match(absoluteUrl) ? 'cache' : 'network';
+        } catch (err) {
+            console.error('Failed to check the model cache:', err);
+            return 'network';
+        }
+    }
+
+    /**
+     * Load a user-picked .onnx file and optional sidecar .json, and remember them
+     * @param {File[]} files - Files from the model picker
+     */
+    async loadCustomModel(files) {
+        const modelFile = files.find(file => /\.onnx$/i.test(file.name));
+        const sidecarFile = files.find(file => /\.json$/i.test(file.name));
+        if (!modelFile) {
+            this.logMessage('Please pick an .onnx model file (and optionally its sidecar .json)');
+            return;
+        }
+
+        try {
+            const sidecar = sidecarFile ? BabbleModel.parseSidecar(await sidecarFile.text()) : null;
+            const data = new Uint8Array(await modelFile.arrayBuffer());
+            this.logMessage(`Loading custom model ${modelFile.name}${sidecarFile ? ` with ${sidecarFile.name}` : ''}...`);
+            await this.model.initialize(data, sidecar);
+
+            await this.modelStorage.saveModel(CUSTOM_MODEL_KEY, { name: modelFile.name, data });
+            this.customModel = { name: modelFile.name, sidecar };
+            this.onModelLoaded(modelFile.name);
+            this.saveConfiguration();
+        } catch (err) {
+            console.error('Failed to load custom model:', err);
+            this.logMessage(`Custom model rejected: ${err.message}`);
+            alert(`Custom model rejected: ${err.message}`);
+        }
+    }
+
+    async useBuiltinModel() {
+        this.customModel = null;
+        this.saveConfiguration();
+        try {
+            await this.modelStorage.deleteModel(CUSTOM_MODEL_KEY);
+        } catch (err) {
+            console.error('Failed to delete stored model:', err);
+        }
+        if (this.isModelInitialized) {
+            try {
+                const source = await this.getModelSource(modelUrl);
+                this.logMessage('Loading the built-in model...');
+                await this.model.initialize(modelUrl);
+                this.onModelLoaded(`Built-in, from ${source}`);
+            } catch (err) {
+                console.error('Failed to load built-in model:', err);
+                this.logMessage(`Built-in model failed to load: ${err.message}`);
+                document.getElementById('modelName').textContent = 'Built-in (failed to load)';
+                alert(`Built-in model failed to load: ${err.message}`);
+            }
+        } else {
+            document.getElementById('modelName').textContent = 'Built-in';
+        }
+    }
+
+    /**
+     * Load the model again after runtime settings changed, keeping frame processing going
+     */
+    async reloadModel() {
+        try {
+            await this.initializeModel();
+            if (this.activeCamera?.isConnected) {
+                this.stopFrameProcessing();
+                this.startFrameProcessing();
+            }
+        } catch (err) {
+            console.error('Failed to reload model:', err);
+            this.logMessage(`Failed to reload model: ${err.message}`);
+        }
+    }
+
+    async runBenchmark() {
+        if (!this.isModelInitialized) {
+            this.logMessage('Connect a camera first, the benchmark runs on the current crop');
+            return;
+        }
+        const benchmarkBtn = document.getElementById('benchmarkBtn');
+        const iterations = Math.max(1, parseInt(document.getElementById('benchmarkRuns').value) || 50);
+        benchmarkBtn.disabled = true;
+        benchmarkBtn.textContent = 'Benchmarking...';
+        this.logMessage(`Benchmarking ${iterations} inferences per execution provider...`);
+        try {
+            const results = await this.model.benchmark(document.getElementById('previewCropped'), iterations);
+            results.forEach(result => {
+                if (result.error) {
+                    this.logMessage(`${result.provider}: unavailable (${result.error})`);
+                } else {
+                    this.logMessage(`${result.provider}: mean ${result.meanMs.toFixed(2)} ms, p95 ${result.p95Ms.toFixed(2)} ms`);
+                }
+            });
+        } catch (err) {
+            console.error('Benchmark failed:', err);
+            this.logMessage(`Benchmark failed: ${err.message}`);
+        } finally {
+            benchmarkBtn.disabled = false;
+            benchmarkBtn.textContent = 'Benchmark';
+        }
+    }
+
+    onModelLoaded(name) {
+        this.isModelInitialized = true;
+        document.getElementById('activeProvider').textContent = this.model.executionProvider.toUpperCase();
+        const { channels, width, height, outputSize } = this.model.layout;
+        document.getElementById('modelName').textContent = `${name} (${channels}x${width}x${height} → ${outputSize})`;
+        this.logMessage(`Model ${name} loaded on ${this.model.executionProvider}: ${channels} channel ${width}x${height} input, ${outputSize} outputs`);
+
+        // Outputs may be named differently by a sidecar, make sure every name has a range and a bar
+        this.model.blendshapeNames.forEach(name => {
+            if (!this.blendshapeRanges[name]) {
+                this.blendshapeRanges[name] = { min: 0.0, max: 1.0 };
+            }
+        });
+        this.generateBlendshapeHTML();
+        this.populateFilterOverrideTargets();
     }
 
     updatePortSelectorState(enabled) {
@@ -914,6 +2632,26 @@ class BabbleApp {
         if (serialPortSelect) {
             serialPortSelect.disabled = !enabled;
         }
+
+        // Enable/disable webcam selectors
+        ['webcamDeviceSelect', 'webcamResolutionSelect', 'webcamFpsSelect'].forEach(id => {
+            const select = document.getElementById(id);
+            if (select) {
+                select.disabled = !enabled;
+            }
+        });
+
+        // Enable/disable recording file picker
+        const recordingFileInput = document.getElementById('recordingFile');
+        if (recordingFileInput) {
+            recordingFileInput.disabled = !enabled;
+        }
+
+        // Enable/disable Wi-Fi camera URL input
+        const networkCameraUrlInput = document.getElementById('networkCameraUrl');
+        if (networkCameraUrlInput) {
+            networkCameraUrlInput.disabled = !enabled;
+        }
     }
 
     toggleCalibration() {
@@ -925,10 +2663,8 @@ class BabbleApp {
             this.calibrationStartTime = Date.now();
             this.isCalibrated = false;
             
-            // Reset blendshape ranges to start fresh
-            BabbleModel.blendshapeNames.forEach(name => {
-                this.blendshapeRanges[name] = { min: Infinity, max: -Infinity };
-            });
+            // Record from scratch, the ranges are derived when it stops
+            this.calibrationRecorder = new CalibrationRecorder(this.model.blendshapeNames);
             
             calibrateBtn.textContent = 'Calibrating...';
             this.logMessage(`Calibration started - recording blendshape ranges for ${this.calibrationDuration / 1000} seconds`);
@@ -953,12 +2689,22 @@ class BabbleApp {
         const calibrateBtn = document.getElementById('calibrateBtn');
         calibrateBtn.textContent = 'Recalibrate';
         
+        const recorder = this.calibrationRecorder;
+        this.setCalibrationSources(this.model.blendshapeNames, {
+            min: { recorder, stat: 'low' },
+            max: { recorder, stat: 'high' }
+        });
+        const skipped = this.updateCalibratedRanges(this.model.blendshapeNames);
+
         // Log the recorded ranges
-        this.logMessage('Calibration completed - recorded ranges:');
-        BabbleModel.blendshapeNames.forEach(name => {
+        this.logMessage(`Calibration completed - ${recorder.frameCount} frames, ${recorder.flaggedCount} flagged as bad. Recorded ranges:`);
+        this.model.blendshapeNames.forEach(name => {
             const range = this.blendshapeRanges[name];
             this.logMessage(`${name}: ${range.min.toFixed(3)} to ${range.max.toFixed(3)}`);
         });
+        if (skipped.length > 0) {
+            this.logMessage(`${skipped.join(', ')} did not move during calibration, kept their previous ranges`);
+        }
         
         // Save configuration with updated calibration data
         this.saveConfiguration();
@@ -966,19 +2712,380 @@ class BabbleApp {
 
     recordBlendshapeRanges(predictions) {
         if (!this.isCalibrationEnabled) return;
-        
-        BabbleModel.blendshapeNames.forEach((name, index) => {
-            const value = predictions[index];
+        this.calibrationRecorder.addFrame(predictions, Date.now());
+    }
+
+    /**
+     * Remember which recording and statistic each range end of the given shapes comes from
+     * @param {string[]} names - Blendshape names
+     * @param {Object} ends - { min: { recorder, stat }, max: { recorder, stat } }, stat is 'low', 'median' or 'high'
+     */
+    setCalibrationSources(names, ends) {
+        names.forEach(name => {
+            this.calibrationSources[name] = { ...this.calibrationSources[name], ...ends };
+        });
+    }
+
+    /**
+     * Derive ranges from the recorded histograms with the current percentiles. A range whose
+     * maximum does not exceed its minimum would invert the shape and is left unchanged.
+     * @param {string[]} names - Blendshapes to update, defaults to every calibrated one
+     * @returns {string[]} Names whose range was left unchanged
+     */
+    updateCalibratedRanges(names = Object.keys(this.calibrationSources)) {
+        const { low, high } = this.calibrationPercentiles;
+        const percentiles = { low, median: 50, high };
+        const skipped = [];
+
+        names.forEach(name => {
+            const sources = this.calibrationSources[name];
+            if (!sources) return;
+            const range = { ...(this.blendshapeRanges[name] || { min: 0.0, max: 1.0 }) };
+            ['min', 'max'].forEach(end => {
+                const source = sources[end];
+                if (!source) return;
+                const value = source.recorder.getHistogram(name, this.discardBadFrames).percentile(percentiles[source.stat]);
+                if (Number.isFinite(value)) {
+                    range[end] = value;
+                }
+            });
+            if (range.max <= range.min) {
+                skipped.push(name);
+                return;
+            }
+            this.blendshapeRanges[name] = range;
+        });
+
+        this.renderCalibrationDistribution();
+        this.updateCalibrationFrameStats();
+        return skipped;
+    }
+
+    /**
+     * The recording bad frames are flagged in: the wizard step being recorded or just
+     * recorded, otherwise the free-form calibration
+     */
+    getActiveCalibrationRecorder() {
+        return this.calibrationWizard.recorder || this.calibrationRecorder;
+    }
+
+    flagBadCalibrationFrames(seconds) {
+        const recorder = this.getActiveCalibrationRecorder();
+        if (!recorder) {
+            this.logMessage('No calibration recording to flag frames in');
+            return;
+        }
+        const flagged = recorder.flagRecent(seconds);
+        this.logMessage(`Flagged ${flagged} calibration frames as bad`);
+        // Ranges of a running calibration are derived when it stops
+        if (!this.isCalibrationEnabled && !this.calibrationWizard.isRecording) {
+            this.updateCalibratedRanges();
+            this.saveConfiguration();
+        }
+        this.updateCalibrationFrameStats();
+    }
+
+    updateCalibrationFrameStats() {
+        const recorder = this.getActiveCalibrationRecorder();
+        document.getElementById('calibrationFrameStats').textContent = recorder
+            ? `${recorder.frameCount} frames, ${recorder.flaggedCount} flagged`
+            : '';
+    }
+
+    renderCalibrationDistribution() {
+        const list = document.getElementById('distributionList');
+        if (!list) return;
+
+        const names = this.model.blendshapeNames.filter(name => this.calibrationSources[name]);
+        if (names.length === 0) {
+            list.innerHTML = '<span class="value">Calibrate to see how the recorded values are distributed</span>';
+            return;
+        }
+        list.innerHTML = names.map(name => {
             const range = this.blendshapeRanges[name];
-            
-            // Update min and max values
-            if (value < range.min) {
-                range.min = value;
+            return `
+                <div class="distribution-row">
+                    <span class="label"></span>
+                    <canvas width="240" height="36"></canvas>
+                    <span class="value">${range.min.toFixed(3)} - ${range.max.toFixed(3)}</span>
+                </div>
+            `;
+        }).join('');
+        list.querySelectorAll('.distribution-row').forEach((row, index) => {
+            row.querySelector('.label').textContent = names[index];
+            this.drawDistribution(row.querySelector('canvas'), names[index]);
+        });
+    }
+
+    /**
+     * Draw the value histograms a blendshape was calibrated from, with its range ends marked
+     * @param {HTMLCanvasElement} canvas - Target canvas
+     * @param {string} name - Blendshape name
+     */
+    drawDistribution(canvas, name) {
+        const ctx = canvas.getContext('2d');
+        const { width, height } = canvas;
+        const viewMin = -0.1;
+        const viewMax = 1.1;
+        const toX = value => (value - viewMin) / (viewMax - viewMin) * width;
+        ctx.clearRect(0, 0, width, height);
+
+        // Neutral and expression steps of the wizard come from different recordings
+        const sources = this.calibrationSources[name];
+        const recorders = [...new Set([sources.min?.recorder, sources.max?.recorder].filter(Boolean))];
+        const colors = ['#646cff', '#4caf50'];
+        ctx.globalAlpha = 0.7;
+        recorders.forEach((recorder, i) => {
+            const histogram = recorder.getHistogram(name, this.discardBadFrames);
+            const peak = Math.max(...histogram.counts);
+            if (peak === 0) return;
+            ctx.fillStyle = colors[i % colors.length];
+            histogram.counts.forEach((count, bin) => {
+                if (count === 0) return;
+                const start = histogram.min + bin * histogram.binWidth;
+                const barHeight = count / peak * height;
+                ctx.fillRect(toX(start), height - barHeight, Math.max(1, toX(start + histogram.binWidth) - toX(start)), barHeight);
+            });
+        });
+        ctx.globalAlpha = 1;
+
+        const range = this.blendshapeRanges[name];
+        ctx.fillStyle = '#ffb74d';
+        [range.min, range.max].forEach(value => ctx.fillRect(toX(value) - 1, 0, 2, height));
+    }
+
+    applyOutputStages(predictions) {
+        return predictions.map((value, index) => {
+            const settings = this.outputSettings[this.model.blendshapeNames[index]];
+            return settings ? applyOutputStage(value, settings) : value;
+        });
+    }
+
+    /**
+     * Open the output editor below a blendshape bar, or close it if it is open
+     * @param {string} name - Blendshape name
+     */
+    toggleOutputEditor(name) {
+        document.querySelector('.output-editor')?.remove();
+        if (this.outputEditorName === name) {
+            this.outputEditorName = null;
+            return;
+        }
+        const button = document.querySelector(`.output-edit-btn[data-name="${CSS.escape(name)}"]`);
+        if (!button) {
+            this.outputEditorName = null;
+            return;
+        }
+        this.outputEditorName = name;
+
+        const editor = document.createElement('div');
+        editor.className = 'output-editor';
+        editor.innerHTML = `
+            <div class="output-editor-fields">
+                <label>Gain <input type="number" data-field="gain" step="0.05"></label>
+                <label>Offset <input type="number" data-field="offset" step="0.01"></label>
+                <label>Deadzone <input type="number" data-field="deadzone" min="0" max="0.95" step="0.01"></label>
+                <label>Min <input type="number" data-field="clampMin" step="0.05"></label>
+                <label>Max <input type="number" data-field="clampMax" step="0.05"></label>
+                <label>Curve
+                    <select data-field="curveType">
+                        ${CURVE_TYPES.map(type => `<option value="${type}">${type[0].toUpperCase()}${type.slice(1)}</option>`).join('')}
+                    </select>
+                </label>
+                <label>Gamma <input type="number" data-field="gamma" min="0.1" max="5" step="0.05"></label>
+                <button data-action="reset">Reset</button>
+            </div>
+            <canvas class="output-curve" width="160" height="160" title="Drag the points to shape the curve. Double-click adds a point, right-click removes one"></canvas>
+        `;
+        button.closest('.blendshape-bar').after(editor);
+
+        editor.addEventListener('change', (e) => {
+            if (e.target.dataset.field) {
+                this.setOutputSetting(name, e.target.dataset.field, e.target.value);
             }
-            if (value > range.max) {
-                range.max = value;
+        });
+        editor.querySelector('[data-action="reset"]').addEventListener('click', () => {
+            delete this.outputSettings[name];
+            this.onOutputSettingsChanged(name);
+        });
+        this.setupCurveEditor(editor.querySelector('.output-curve'), name);
+        this.showOutputSettings(name);
+    }
+
+    /**
+     * Get a blendshape's output settings, creating defaults when it has none yet
+     */
+    getOutputSettings(name) {
+        if (!this.outputSettings[name]) {
+            this.outputSettings[name] = createOutputSettings();
+        }
+        return this.outputSettings[name];
+    }
+
+    setOutputSetting(name, field, value) {
+        const settings = this.getOutputSettings(name);
+        if (field === 'curveType') {
+            settings.curve.type = value;
+        } else if (field === 'gamma') {
+            settings.curve.gamma = parseFloat(value);
+        } else {
+            settings[field] = parseFloat(value);
+        }
+        this.outputSettings[name] = normalizeOutputSettings(settings);
+        this.onOutputSettingsChanged(name);
+    }
+
+    onOutputSettingsChanged(name) {
+        document.querySelector(`.output-edit-btn[data-name="${CSS.escape(name)}"]`)?.classList.toggle('active', !!this.outputSettings[name]);
+        this.showOutputSettings(name);
+        // Only called for finished edits (field changes, curve clicks, drag ends), so none may be skipped
+        this.saveConfiguration(true);
+    }
+
+    showOutputSettings(name) {
+        const editor = document.querySelector('.output-editor');
+        if (!editor || this.outputEditorName !== name) return;
+
+        const settings = this.outputSettings[name] || createOutputSettings();
+        const values = {
+            gain: settings.gain,
+            offset: settings.offset,
+            deadzone: settings.deadzone,
+            clampMin: settings.clampMin,
+            clampMax: settings.clampMax,
+            curveType: settings.curve.type,
+            gamma: settings.curve.gamma
+        };
+        Object.entries(values).forEach(([field, value]) => {
+            editor.querySelector(`[data-field="${field}"]`).value = value.toString();
+        });
+        editor.querySelector('[data-field="gamma"]').closest('label').style.display =
+            settings.curve.type === 'gamma' ? '' : 'none';
+        this.drawOutputCurve(name);
+    }
+
+    /**
+     * Drag spline points on the curve canvas; switches the curve to a spline on first edit
+     */
+    setupCurveEditor(canvas, name) {
+        const toCurve = (e) => {
+            const rect = canvas.getBoundingClientRect();
+            return [
+                Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width)),
+                Math.max(0, Math.min(1, 1 - (e.clientY - rect.top) / rect.height))
+            ];
+        };
+        const findPoint = (points, [x, y]) => points.findIndex(point =>
+            Math.hypot((point[0] - x) * canvas.clientWidth, (point[1] - y) * canvas.clientHeight) < 8
+        );
+        const useSpline = () => {
+            const settings = this.getOutputSettings(name);
+            settings.curve.type = 'spline';
+            return settings.curve.points;
+        };
+        let dragIndex = -1;
+
+        canvas.addEventListener('pointerdown', (e) => {
+            const settings = this.outputSettings[name] || createOutputSettings();
+            dragIndex = findPoint(settings.curve.points, toCurve(e));
+            if (dragIndex !== -1) {
+                useSpline();
+                canvas.setPointerCapture(e.pointerId);
+            }
+        });
+        canvas.addEventListener('pointermove', (e) => {
+            if (dragIndex === -1) return;
+            const points = this.outputSettings[name].curve.points;
+            const [x, y] = toCurve(e);
+            // End points stay at x 0 and 1, inner points stay between their neighbours
+            if (dragIndex > 0 && dragIndex < points.length - 1) {
+                points[dragIndex][0] = Math.max(points[dragIndex - 1][0] + 0.01, Math.min(points[dragIndex + 1][0] - 0.01, x));
             }
+            points[dragIndex][1] = y;
+            this.drawOutputCurve(name);
+        });
+        canvas.addEventListener('pointerup', () => {
+            if (dragIndex === -1) return;
+            dragIndex = -1;
+            this.onOutputSettingsChanged(name);
+        });
+        canvas.addEventListener('dblclick', (e) => {
+            const points = useSpline();
+            const point = toCurve(e);
+            if (findPoint(points, point) !== -1) return;
+            points.push(point);
+            points.sort((a, b) => a[0] - b[0]);
+            this.onOutputSettingsChanged(name);
         });
+        canvas.addEventListener('contextmenu', (e) => {
+            e.preventDefault();
+            const points = this.outputSettings[name]?.curve.points;
+            if (!points) return;
+            const index = findPoint(points, toCurve(e));
+            if (index > 0 && index < points.length - 1) {
+                points.splice(index, 1);
+                this.onOutputSettingsChanged(name);
+            }
+        });
+    }
+
+    drawOutputCurve(name, input = null) {
+        const canvas = document.querySelector('.output-editor .output-curve');
+        if (!canvas) return;
+        const ctx = canvas.getContext('2d');
+        const { width, height } = canvas;
+        const settings = this.outputSettings[name] || createOutputSettings();
+        const toX = x => x * width;
+        const toY = y => (1 - y) * height;
+
+        ctx.clearRect(0, 0, width, height);
+        ctx.strokeStyle = '#333';
+        ctx.lineWidth = 1;
+        for (let i = 1; i < 4; i++) {
+            ctx.beginPath();
+            ctx.moveTo(toX(i / 4), 0);
+            ctx.lineTo(toX(i / 4), height);
+            ctx.moveTo(0, toY(i / 4));
+            ctx.lineTo(width, toY(i / 4));
+            ctx.stroke();
+        }
+
+        // Curve with the clamp applied, as it is sent
+        ctx.strokeStyle = '#646cff';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        for (let px = 0; px <= width; px++) {
+            const y = Math.max(settings.clampMin, Math.min(settings.clampMax, evaluateCurve(settings.curve, px / width)));
+            if (px === 0) ctx.moveTo(px, toY(y));
+            else ctx.lineTo(px, toY(y));
+        }
+        ctx.stroke();
+
+        // Spline points, faint while another curve type is active; dragging one switches to the spline
+        ctx.fillStyle = settings.curve.type === 'spline' ? 'rgba(255, 255, 255, 0.87)' : 'rgba(255, 255, 255, 0.25)';
+        settings.curve.points.forEach(([x, y]) => {
+            ctx.beginPath();
+            ctx.arc(toX(x), toY(y), 4, 0, Math.PI * 2);
+            ctx.fill();
+        });
+
+        // Where the live value currently sits on the curve
+        if (input !== null) {
+            const y = Math.max(settings.clampMin, Math.min(settings.clampMax, evaluateCurve(settings.curve, input)));
+            ctx.fillStyle = '#ffb74d';
+            ctx.beginPath();
+            ctx.arc(toX(input), toY(y), 5, 0, Math.PI * 2);
+            ctx.fill();
+        }
+    }
+
+    updateOutputEditorMarker(predictions) {
+        const name = this.outputEditorName;
+        if (!name) return;
+        const index = this.model.blendshapeNames.indexOf(name);
+        if (index === -1) return;
+        const settings = this.outputSettings[name] || createOutputSettings();
+        this.drawOutputCurve(name, getCurveInput(predictions[index], settings));
     }
 
     rescaleBlendshapes(predictions) {
@@ -986,7 +3093,7 @@ class BabbleApp {
         if (!this.isCalibrated || !this.calibrationToggleEnabled) return predictions;
         
         return predictions.map((value, index) => {
-            const name = BabbleModel.blendshapeNames[index];
+            const name = this.model.blendshapeNames[index];
             const range = this.blendshapeRanges[name];
             
             // Avoid division by zero
@@ -1002,6 +3109,291 @@ class BabbleApp {
         });
     }
 
+    setupProfileControls() {
+        const importProfileFile = document.getElementById('importProfileFile');
+        this.populateProfiles();
+
+        document.getElementById('profileSelect').addEventListener('change', (e) => this.switchProfile(e.target.value));
+        document.getElementById('newProfileBtn').addEventListener('click', () => {
+            const name = prompt('Name of the new profile:', 'New Profile');
+            if (name !== null) {
+                this.addProfile(name, extractProfile(this.configStore.defaultConfig));
+            }
+        });
+        document.getElementById('duplicateProfileBtn').addEventListener('click', async () => {
+            const name = prompt('Name of the copy:', `${this.activeProfile} copy`);
+            if (name !== null) {
+                await this.saveConfiguration(true);
+                this.addProfile(name, extractProfile(this.profiles[this.activeProfile]));
+            }
+        });
+        document.getElementById('renameProfileBtn').addEventListener('click', () => {
+            const name = prompt('New name of the profile:', this.activeProfile);
+            if (name !== null && name.trim() && name.trim() !== this.activeProfile) {
+                this.renameProfile(name);
+            }
+        });
+        document.getElementById('deleteProfileBtn').addEventListener('click', () => {
+            if (Object.keys(this.profiles).length <= 1) {
+                this.logMessage('The last profile cannot be deleted');
+            } else if (confirm(`Delete profile "${this.activeProfile}"?`)) {
+                this.deleteProfile();
+            }
+        });
+        document.getElementById('exportProfileBtn').addEventListener('click', () => this.exportProfile());
+        document.getElementById('importProfileBtn').addEventListener('click', () => importProfileFile.click());
+        importProfileFile.addEventListener('change', async () => {
+            const file = importProfileFile.files[0];
+            importProfileFile.value = '';
+            if (!file) return;
+            try {
+                const { name, settings } = parseProfile(await file.text());
+                await this.addProfile(name, settings);
+            } catch (error) {
+                this.logMessage(`Failed to import ${file.name}: ${error.message}`);
+            }
+        });
+    }
+
+    populateProfiles() {
+        const profileSelect = document.getElementById('profileSelect');
+        const names = Object.keys(this.profiles);
+        if (!names.includes(this.activeProfile)) {
+            names.push(this.activeProfile);
+        }
+        // Names are user input, so options are created as text rather than HTML
+        profileSelect.innerHTML = '';
+        names.sort((a, b) => a.localeCompare(b)).forEach(name => profileSelect.add(new Option(name, name)));
+        profileSelect.value = this.activeProfile;
+    }
+
+    /**
+     * Store a profile under a free name and switch to it
+     * @param {string} name - Wanted name
+     * @param {Object} settings - Profile settings
+     */
+    async addProfile(name, settings) {
+        const uniqueName = getUniqueProfileName(name, Object.keys(this.profiles));
+        this.profiles[uniqueName] = settings;
+        await this.switchProfile(uniqueName);
+    }
+
+    async switchProfile(name) {
+        if (name === this.activeProfile || !this.profiles[name]) return;
+
+        // Store the live settings in the profile being left
+        await this.saveConfiguration(true);
+        this.activeProfile = name;
+        this.applyProfileSettings(this.profiles[name]);
+        this.onProfileApplied();
+        await this.saveConfiguration(true);
+        this.logMessage(`Switched to profile "${name}"`);
+    }
+
+    async renameProfile(name) {
+        await this.saveConfiguration(true);
+        const uniqueName = getUniqueProfileName(name, Object.keys(this.profiles));
+        this.profiles[uniqueName] = this.profiles[this.activeProfile];
+        delete this.profiles[this.activeProfile];
+        this.logMessage(`Renamed profile "${this.activeProfile}" to "${uniqueName}"`);
+        this.activeProfile = uniqueName;
+        this.populateProfiles();
+        await this.saveConfiguration(true);
+    }
+
+    async deleteProfile() {
+        const deleted = this.activeProfile;
+        delete this.profiles[deleted];
+        this.activeProfile = Object.keys(this.profiles).sort((a, b) => a.localeCompare(b))[0];
+        this.applyProfileSettings(this.profiles[this.activeProfile]);
+        this.onProfileApplied();
+        await this.saveConfiguration(true);
+        this.logMessage(`Deleted profile "${deleted}", switched to "${this.activeProfile}"`);
+    }
+
+    async exportProfile() {
+        await this.saveConfiguration(true);
+        const json = serializeProfile(this.activeProfile, this.profiles[this.activeProfile]);
+        const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${this.activeProfile.replace(/[\\/:*?"<>|]/g, '_')}.blubber-profile.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+        this.logMessage(`Exported profile "${this.activeProfile}"`);
+    }
+
+    /**
+     * Refresh everything that shows profile settings after switching profiles
+     */
+    onProfileApplied() {
+        // Recordings and open editors belong to the previous profile
+        if (this.calibrationWizard.isActive) {
+            this.calibrationWizard.stop();
+        }
+        if (this.isCalibrationEnabled) {
+            this.isCalibrationEnabled = false;
+            this.calibrationStartTime = null;
+        }
+        this.calibrationRecorder = null;
+        this.calibrationSources = {};
+        this.outputEditorName = null;
+
+        this.generateBlendshapeHTML();
+        this.applyConfigurationToUI();
+        this.updateFilter();
+        this.updateCalibrationFrameStats();
+        this.populateProfiles();
+    }
+
+    setupCalibrationWizard() {
+        const wizard = this.calibrationWizard;
+
+        document.getElementById('calibrationWizardBtn').addEventListener('click', () => {
+            if (!this.isProcessingFrames) {
+                this.logMessage('Connect a camera before starting the guided calibration');
+            } else if (this.isCalibrationEnabled) {
+                this.logMessage('Finish the running calibration before starting the guided calibration');
+            } else {
+                document.getElementById('calibrationWizard').style.display = 'block';
+                wizard.start(this.model.blendshapeNames);
+            }
+        });
+        document.getElementById('wizardCloseBtn').addEventListener('click', () => this.finishCalibrationWizard());
+        document.getElementById('wizardRecordBtn').addEventListener('click', () => wizard.startRecording());
+        document.getElementById('wizardPrevBtn').addEventListener('click', () => wizard.goTo(wizard.currentIndex - 1));
+        document.getElementById('wizardNextBtn').addEventListener('click', () => {
+            if (wizard.currentIndex === wizard.steps.length - 1) {
+                this.finishCalibrationWizard();
+            } else {
+                wizard.goTo(wizard.currentIndex + 1);
+            }
+        });
+        // Jump to any step, e.g. to redo it
+        document.getElementById('wizardSteps').addEventListener('click', (e) => {
+            const index = e.target.dataset.index;
+            if (index !== undefined) {
+                wizard.goTo(parseInt(index));
+            }
+        });
+
+        wizard.on('stepChanged', () => this.renderCalibrationWizard());
+        wizard.on('progress', (progress) => {
+            document.getElementById('wizardProgress').style.width = `${progress * 100}%`;
+            const recordBtn = document.getElementById('wizardRecordBtn');
+            recordBtn.disabled = progress < 1;
+            recordBtn.textContent = 'Recording...';
+        });
+        wizard.on('stepRecorded', (step, recorder) => {
+            this.applyCalibrationStep(step, recorder);
+            this.renderCalibrationWizard();
+        });
+        wizard.on('closed', () => {
+            document.getElementById('calibrationWizard').style.display = 'none';
+        });
+    }
+
+    renderCalibrationWizard() {
+        const wizard = this.calibrationWizard;
+        const step = wizard.currentStep;
+        if (!step) return;
+        const isRecorded = wizard.results.has(step.id);
+        const isLastStep = wizard.currentIndex === wizard.steps.length - 1;
+
+        document.getElementById('wizardStepTitle').textContent =
+            `Step ${wizard.currentIndex + 1}/${wizard.steps.length}: ${step.title}`;
+        document.getElementById('wizardInstruction').textContent =
+            `${step.instruction} Press Record and hold it for ${wizard.options.stepDuration / 1000} seconds.`;
+        document.getElementById('wizardProgress').style.width = isRecorded ? '100%' : '0%';
+
+        // Live bars of the shapes this step calibrates, with markers at their current range
+        const targets = document.getElementById('wizardTargets');
+        if (step.mode === 'min') {
+            targets.innerHTML = '<span class="value">Records the resting value of every blendshape</span>';
+        } else {
+            targets.innerHTML = step.targets.map(name => {
+                const range = this.blendshapeRanges[name];
+                const marker = (value) => Number.isFinite(value)
+                    ? `<div class="calibration-marker" style="left: ${Math.max(0, Math.min(1, value)) * 100}%;"></div>`
+                    : '';
+                return `
+                    <div class="blendshape-bar">
+                        <span class="label">${name}</span>
+                        <div class="progress">
+                            <div class="progress-bar" id="wizard-target-${name}" style="width: 0%;"></div>
+                            ${marker(range?.min)}${marker(range?.max)}
+                        </div>
+                        <span class="value" id="wizard-value-${name}">0.0%</span>
+                    </div>
+                `;
+            }).join('');
+        }
+
+        const recordBtn = document.getElementById('wizardRecordBtn');
+        recordBtn.disabled = false;
+        recordBtn.textContent = isRecorded ? 'Redo' : 'Record';
+        document.getElementById('wizardPrevBtn').disabled = wizard.currentIndex === 0;
+        document.getElementById('wizardNextBtn').textContent = isLastStep ? 'Finish' : (isRecorded ? 'Next' : 'Skip');
+
+        document.getElementById('wizardSteps').innerHTML = wizard.steps.map((s, index) => {
+            const classes = [
+                wizard.results.has(s.id) ? 'done' : '',
+                index === wizard.currentIndex ? 'active' : ''
+            ].join(' ');
+            return `<button class="${classes}" data-index="${index}" title="${s.title}">${index + 1}</button>`;
+        }).join('');
+    }
+
+    updateCalibrationWizard(predictions) {
+        const wizard = this.calibrationWizard;
+        if (!wizard.isActive) return;
+
+        const step = wizard.currentStep;
+        if (step.mode === 'max') {
+            step.targets.forEach(name => {
+                const value = predictions[this.model.blendshapeNames.indexOf(name)];
+                const bar = document.getElementById(`wizard-target-${name}`);
+                const valueSpan = document.getElementById(`wizard-value-${name}`);
+                if (bar) bar.style.width = `${Math.max(0, Math.min(1, value)) * 100}%`;
+                if (valueSpan) valueSpan.textContent = `${(value * 100).toFixed(1)}%`;
+            });
+        }
+        wizard.addSample(predictions);
+    }
+
+    /**
+     * Update the ranges of the shapes a wizard step recorded: the median of the neutral step
+     * becomes the minimum, the high percentile of an expression step the maximum
+     */
+    applyCalibrationStep(step, recorder) {
+        this.setCalibrationSources(step.targets, {
+            [step.mode]: { recorder, stat: step.mode === 'min' ? 'median' : 'high' }
+        });
+        const skipped = this.updateCalibratedRanges(step.targets);
+
+        this.isCalibrated = true;
+        document.getElementById('calibrateBtn').textContent = 'Recalibrate';
+        this.logMessage(`Calibration step "${step.title}" recorded (${recorder.frameCount} frames, ${recorder.flaggedCount} flagged as bad)`);
+        if (skipped.length > 0) {
+            this.logMessage(`${skipped.join(', ')} did not move past the resting value, redo "${step.title}" to calibrate them`);
+        }
+        this.saveConfiguration();
+    }
+
+    finishCalibrationWizard() {
+        const wizard = this.calibrationWizard;
+        const recorded = wizard.steps.filter(step => wizard.results.has(step.id));
+        wizard.stop();
+        if (recorded.length > 0) {
+            this.logMessage(`Guided calibration finished - ${recorded.length} of ${wizard.steps.length} steps recorded:`);
+            recorded.flatMap(step => step.targets).forEach(name => {
+                const range = this.blendshapeRanges[name];
+                this.logMessage(`${name}: ${range.min.toFixed(3)} to ${range.max.toFixed(3)}`);
+            });
+            this.saveConfiguration();
+        }
+    }
+
     toggleCalibrationScaling() {
         this.calibrationToggleEnabled = !this.calibrationToggleEnabled;
         const toggleCalibrationBtn = document.getElementById('toggleCalibrationBtn');
@@ -1016,8 +3408,19 @@ class BabbleApp {
         this.saveConfiguration();
     }
 }
+// Cache the app, the model and the runtime for offline use (web build only)
+function registerServiceWorker() {
+    if (window.__TAURI__ || !import.meta.env.PROD || !('serviceWorker' in navigator)) return;
+
+    const swUrl = `${import.meta.env.BASE_URL}sw.js?build=${__BUILD_ID__}&model=${__MODEL_VERSION__}`;
+    navigator.serviceWorker.register(swUrl, { scope: import.meta.env.BASE_URL })
+        .then(registration => console.log('Service worker registered for', registration.scope))
+        .catch(err => console.error('Service worker registration failed:', err));
+}
+
 // Initialize the app when the page loads
 function initializeApp() {
+    registerServiceWorker();
     console.log('Starting Blubber...');
     new BabbleApp();
 }
@@ -0,0 +1,68 @@
+/**
+ * Keeps the bytes of user-picked custom models in IndexedDB,
+ * so they are still there after a restart of the web or desktop app
+ */
+export class ModelStorage {
+    constructor() {
+        this.db = null;
+        this.dbName = 'blubber-models';
+        this.storeName = 'models';
+    }
+
+    /**
+     * Open the database
+     */
+    async initialize() {
+        try {
+            this.db = await new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(this.storeName);
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        } catch (error) {
+            console.error('Failed to open model storage:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Store a model
+     * @param {string} key - Storage slot
+     * @param {{name: string, data: Uint8Array}} record - File name and model bytes
+     */
+    async saveModel(key, record) {
+        await this._transaction('readwrite', store => store.put(record, key));
+    }
+
+    /**
+     * Load a stored model
+     * @param {string} key - Storage slot
+     * @returns {Promise<{name: string, data: Uint8Array}|undefined>} The stored record, if any
+     */
+    async loadModel(key) {
+        return this._transaction('readonly', store => store.get(key));
+    }
+
+    /**
+     * Remove a stored model
+     * @param {string} key - Storage slot
+     */
+    async deleteModel(key) {
+        await this._transaction('readwrite', store => store.delete(key));
+    }
+
+    async _transaction(mode, operation) {
+        if (!this.db) {
+            await this.initialize();
+        }
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+}
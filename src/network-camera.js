@@ -0,0 +1,207 @@
+import { JpegStreamParser } from './jpeg-stream-parser.js';
+import { decodeJpeg, getImageSize, releaseImage } from './frame-decoder.js';
+
+/**
+ * Camera source for wireless Babble/EyeTrackVR boards streaming MJPEG over HTTP
+ */
+export class NetworkCamera {
+    constructor(options = {}) {
+        this.url = null;
+        // The current connection's { abortController, parser }, replaced by every connect()
+        this.session = null;
+        this.isConnected = false;
+        this.lastFrameTime = Date.now();
+        this.fps = 0;
+        this.frameNumber = 0;
+        this.eventListeners = new Map();
+        this.latestFrame = null;
+
+        this.options = {
+            reconnectDelay: 1000,
+            // Wi-Fi frames are usually larger than the serial ones
+            maxBufferSize: 262144,
+            ...options
+        };
+    }
+
+    /**
+     * Normalize a user-entered address into a stream URL
+     * @param {string} address - e.g. "192.168.1.50", "192.168.1.50:81" or "http://babble.local/"
+     * @returns {string} Stream URL
+     */
+    static normalizeUrl(address) {
+        let url = address.trim();
+        if (!/^https?:\/\//i.test(url)) {
+            url = `http://${url}`;
+        }
+        // Throws on malformed input
+        return new URL(url).toString();
+    }
+
+    async requestPort(address = null) {
+        try {
+            if (!address) {
+                throw new Error('No camera URL entered');
+            }
+            this.url = NetworkCamera.normalizeUrl(address);
+            return true;
+        } catch (err) {
+            console.error('Invalid camera URL:', err);
+            this._emit('error', err);
+            return false;
+        }
+    }
+
+    async connect() {
+        if (!this.url) {
+            throw new Error('No camera URL set. Call requestPort() first.');
+        }
+
+        // The board may still be booting, so the first attempt is retried like a dropped stream.
+        // Each connection reads with its own session, a loop left over from an earlier one stops
+        // as soon as it sees it is no longer the current session.
+        this.session = {
+            abortController: new AbortController(),
+            parser: new JpegStreamParser({ maxBufferSize: this.options.maxBufferSize })
+        };
+        this.isConnected = true;
+        this._startReading(this.session);
+        return true;
+    }
+
+    async disconnect() {
+        const wasConnected = this.isConnected;
+        this.isConnected = false;
+        if (this.session) {
+            this.session.abortController.abort();
+            this.session = null;
+        }
+        releaseImage(this.latestFrame?.image);
+        this.latestFrame = null;
+        if (wasConnected) {
+            this._emit('disconnected');
+        }
+    }
+
+    on(event, callback) {
+        if (!this.eventListeners.has(event)) {
+            this.eventListeners.set(event, new Set());
+        }
+        this.eventListeners.get(event).add(callback);
+    }
+
+    off(event, callback) {
+        if (this.eventListeners.has(event)) {
+            this.eventListeners.get(event).delete(callback);
+        }
+    }
+
+    _emit(event, ...args) {
+        if (this.eventListeners.has(event)) {
+            for (const callback of this.eventListeners.get(event)) {
+                callback(...args);
+            }
+        }
+    }
+
+    async _openStream(session) {
+        const response = await fetch(this.url, {
+            signal: session.abortController.signal,
+            cache: 'no-store'
+        });
+        if (!response.ok || !response.body) {
+            throw new Error(`Camera stream responded with HTTP ${response.status}`);
+        }
+        session.parser.reset();
+        return response.body.getReader();
+    }
+
+    async _startReading(session) {
+        const isCurrent = () => this.session === session;
+        // Reported once per outage, not on every attempt
+        let retrying = false;
+        while (isCurrent()) {
+            let error = null;
+            try {
+                const reader = await this._openStream(session);
+                retrying = false;
+                this._emit('connected');
+
+                while (true) {
+                    const { value, done } = await reader.read();
+                    if (done) {
+                        break;
+                    }
+                    for (const jpegFrame of session.parser.push(value)) {
+                        this._handleFrame(jpegFrame, session);
+                    }
+                }
+            } catch (err) {
+                if (!isCurrent()) break; // aborted by disconnect()
+                error = err;
+            }
+
+            if (!isCurrent()) break;
+            // The stream dropped or could not be opened, wait a bit and try again
+            if (!retrying) {
+                if (error) console.error('Error reading camera stream:', error);
+                this._emit('reconnecting', error);
+                retrying = true;
+            }
+            await new Promise(resolve => setTimeout(resolve, this.options.reconnectDelay));
+        }
+    }
+
+    async _handleFrame(jpegBuffer, session) {
+        try {
+            // Calculate FPS
+            const currentTime = Date.now();
+            const deltaTime = (currentTime - this.lastFrameTime) / 1000;
+            this.lastFrameTime = currentTime;
+
+            // Exponential moving average for FPS
+            const currentFps = deltaTime > 0 ? 1 / deltaTime : 0;
+            this.fps = 0.02 * currentFps + 0.98 * this.fps;
+
+            this.frameNumber++;
+            const frameNumber = this.frameNumber;
+
+            // Decode straight to a drawable image
+            const image = await decodeJpeg(jpegBuffer);
+
+            // Disconnected while decoding, nothing would release the image
+            if (this.session !== session) {
+                releaseImage(image);
+                return;
+            }
+
+            // A newer frame finished decoding first, drop this one
+            if (this.latestFrame && this.latestFrame.frameNumber > frameNumber) {
+                releaseImage(image);
+                return;
+            }
+
+            // Free the previous frame and store the new one
+            releaseImage(this.latestFrame?.image);
+            this.latestFrame = {
+                image,
+                ...getImageSize(image),
+                imageData: jpegBuffer,
+                frameNumber,
+                fps: this.fps,
+                timestamp: currentTime
+            };
+        } catch (err) {
+            console.error('Error processing frame:', err);
+            this._emit('frameError', err);
+        }
+    }
+
+    async getFrame() {
+        // Return the latest frame if available
+        if (this.latestFrame) {
+            return this.latestFrame;
+        }
+        return null;
+    }
+}
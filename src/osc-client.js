@@ -1,10 +1,11 @@
 import OSC from 'osc-js';
 
 export class OSCClient {
-    constructor(port = 9000) {
+    constructor(port = 9000, host = 'localhost') {
         // Create OSC UDP client
         this.osc = new OSC({
             plugin: new OSC.WebsocketClientPlugin({
+                host: host,
                 port: port,
                 secure: false
             })
@@ -12,14 +13,19 @@ export class OSCClient {
         this.STATUS = OSC.STATUS;
 
         this.isConnected = false;
+        this.host = host;
         this.port = port;
     }
 
+    get isOpen() {
+        return this.osc.status() == OSC.STATUS.IS_OPEN;
+    }
+
     async connect() {
         try {
             await this.osc.open();
             this.isConnected = true;
-            console.log(`Connecting OSC client to localhost:${this.port}...`);
+            console.log(`Connecting OSC client to ${this.host}:${this.port}...`);
         } catch (err) {
             console.error('Failed to connect OSC client:', err);
             this.isConnected = false;
@@ -36,15 +42,21 @@ export class OSCClient {
 
     /**
      * Send blendshape values to VRCFaceTracking
-     * @param {Object} blendshapes - Object containing blendshape values
+     * @param {Object} blendshapes - Blendshape values keyed by OSC address, see output-mapping.js
+     * @param {Object} options
+     * @param {boolean} options.bundle - Send the whole frame as one OSC bundle instead of one message per value
+     * @param {number} options.timestamp - Frame capture time in milliseconds since the epoch, used as the bundle timetag
      */
-    sendBlendshapes(blendshapes) {
+    sendBlendshapes(blendshapes, { bundle = false, timestamp = Date.now() } = {}) {
         if (this.osc.status() != OSC.STATUS.IS_OPEN) return;
 
-        // Send each blendshape value as a separate OSC message
-        Object.entries(blendshapes).forEach(([name, value]) => {
-            const message = new OSC.Message(`/${name}`, value);
-            this.osc.send(message);
-        });
+        const messages = Object.entries(blendshapes).map(([address, value]) => new OSC.Message(address, value));
+        if (bundle) {
+            // Receivers apply all values of the frame at once; osc-js converts the timetag to NTP time
+            this.osc.send(new OSC.Bundle(messages, Math.round(timestamp)));
+        } else {
+            // Send each blendshape value as a separate OSC message
+            messages.forEach(message => this.osc.send(message));
+        }
     }
 } 
\ No newline at end of file
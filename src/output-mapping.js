@@ -0,0 +1,69 @@
+/**
+ * Where each blendshape is sent: a preset decides the default address of every blendshape
+ * (prefix + name), the address table overrides single blendshapes with their own address
+ * or with null to not send them at all.
+ * Mapping: { preset, prefix, addresses: { jawOpen: '/custom/jaw', tongueOut: null } }
+ * where prefix is only used by the 'custom' preset.
+ */
+
+export const ADDRESS_PRESETS = {
+    babble: { label: 'VRCFaceTracking Babble module', prefix: '/' },
+    avatar: { label: 'VRChat avatar parameters', prefix: '/avatar/parameters/' },
+    custom: { label: 'Custom prefix', prefix: null }
+};
+
+export function createOutputMapping() {
+    return {
+        preset: 'babble',
+        prefix: '/',
+        addresses: {}
+    };
+}
+
+/**
+ * Tell whether a string can be used as OSC address: starts with a slash and has no
+ * whitespace or pattern characters
+ * @param {string} address - Address to check
+ */
+export function isValidAddress(address) {
+    return typeof address === 'string' && /^\/[^\s#*,?[\]{}]+$/.test(address);
+}
+
+/**
+ * Address a blendshape gets from the preset alone
+ * @param {Object} mapping - Output mapping
+ * @param {string} name - Blendshape name
+ */
+export function getPresetAddress(mapping, name) {
+    const prefix = mapping.preset === 'custom' ? mapping.prefix : ADDRESS_PRESETS[mapping.preset].prefix;
+    return `${prefix}${name}`;
+}
+
+/**
+ * Address a blendshape is sent to
+ * @param {Object} mapping - Output mapping
+ * @param {string} name - Blendshape name
+ * @returns {string|null} null if the blendshape is not sent
+ */
+export function getOutputAddress(mapping, name) {
+    const address = mapping.addresses[name];
+    return address === undefined ? getPresetAddress(mapping, name) : address;
+}
+
+/**
+ * Key the values of one frame by their OSC address, for the WebSocket and UDP senders
+ * @param {Object} mapping - Output mapping
+ * @param {string[]} names - Blendshape names
+ * @param {ArrayLike<number>} values - Values in names order
+ * @returns {Object} Address → value, without blendshapes that are not sent
+ */
+export function mapOutputValues(mapping, names, values) {
+    const output = {};
+    names.forEach((name, index) => {
+        const address = getOutputAddress(mapping, name);
+        if (address !== null) {
+            output[address] = values[index];
+        }
+    });
+    return output;
+}
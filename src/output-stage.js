@@ -0,0 +1,152 @@
+/**
+ * Per-blendshape output shaping, applied after calibration and right before sending:
+ * gain and offset, then a deadzone, then a response curve on 0-1, then a clamp.
+ * Settings: { gain, offset, deadzone, clampMin, clampMax, curve: { type, gamma, points } }
+ * where curve.type is 'linear', 'gamma' or 'spline' and points are [x, y] pairs in 0-1.
+ */
+
+export const CURVE_TYPES = ['linear', 'gamma', 'spline'];
+
+export function createOutputSettings() {
+    return {
+        gain: 1.0,
+        offset: 0.0,
+        deadzone: 0.0,
+        clampMin: 0.0,
+        clampMax: 1.0,
+        curve: {
+            type: 'linear',
+            gamma: 1.0,
+            points: [[0, 0], [0.5, 0.5], [1, 1]]
+        }
+    };
+}
+
+const clamp01 = value => Math.max(0, Math.min(1, value));
+
+/**
+ * Fill in missing fields and repair curve points: sorted, inside 0-1, with end points at x 0 and 1
+ * @param {Object} settings - Stored settings
+ * @returns {Object} Complete settings
+ */
+export function normalizeOutputSettings(settings = {}) {
+    const defaults = createOutputSettings();
+    const number = (value, fallback) => Number.isFinite(value) ? value : fallback;
+
+    let points = Array.isArray(settings.curve?.points)
+        ? settings.curve.points
+            .filter(point => Array.isArray(point) && Number.isFinite(point[0]) && Number.isFinite(point[1]))
+            .map(([x, y]) => [clamp01(x), clamp01(y)])
+            .sort((a, b) => a[0] - b[0])
+        : [];
+    if (points.length < 2) {
+        points = defaults.curve.points;
+    }
+    points[0][0] = 0;
+    points[points.length - 1][0] = 1;
+
+    return {
+        gain: number(settings.gain, defaults.gain),
+        offset: number(settings.offset, defaults.offset),
+        deadzone: clamp01(number(settings.deadzone, defaults.deadzone)),
+        clampMin: number(settings.clampMin, defaults.clampMin),
+        clampMax: number(settings.clampMax, defaults.clampMax),
+        curve: {
+            type: CURVE_TYPES.includes(settings.curve?.type) ? settings.curve.type : defaults.curve.type,
+            gamma: Math.max(0.01, number(settings.curve?.gamma, defaults.curve.gamma)),
+            points
+        }
+    };
+}
+
+/**
+ * Monotone cubic (Fritsch-Carlson) interpolation, does not overshoot between points
+ * @param {Array<[number, number]>} points - Control points sorted by x
+ * @param {number} x - Input
+ */
+export function evaluateSpline(points, x) {
+    const n = points.length;
+    if (n === 0) return x;
+    if (n === 1 || x <= points[0][0]) return points[0][1];
+    if (x >= points[n - 1][0]) return points[n - 1][1];
+
+    // Secant slopes and tangents
+    const secants = [];
+    for (let i = 0; i < n - 1; i++) {
+        const dx = points[i + 1][0] - points[i][0];
+        secants.push(dx > 0 ? (points[i + 1][1] - points[i][1]) / dx : 0);
+    }
+    const tangents = [secants[0]];
+    for (let i = 1; i < n - 1; i++) {
+        tangents.push(secants[i - 1] * secants[i] <= 0 ? 0 : (secants[i - 1] + secants[i]) / 2);
+    }
+    tangents.push(secants[n - 2]);
+    for (let i = 0; i < n - 1; i++) {
+        if (secants[i] === 0) {
+            tangents[i] = 0;
+            tangents[i + 1] = 0;
+            continue;
+        }
+        const a = tangents[i] / secants[i];
+        const b = tangents[i + 1] / secants[i];
+        const s = a * a + b * b;
+        if (s > 9) {
+            const t = 3 / Math.sqrt(s);
+            tangents[i] = t * a * secants[i];
+            tangents[i + 1] = t * b * secants[i];
+        }
+    }
+
+    let k = 0;
+    while (x > points[k + 1][0]) k++;
+    const [x0, y0] = points[k];
+    const [x1, y1] = points[k + 1];
+    const h = x1 - x0;
+    if (h <= 0) return y1;
+    const t = (x - x0) / h;
+    const t2 = t * t;
+    const t3 = t2 * t;
+    return (2 * t3 - 3 * t2 + 1) * y0 +
+        (t3 - 2 * t2 + t) * h * tangents[k] +
+        (-2 * t3 + 3 * t2) * y1 +
+        (t3 - t2) * h * tangents[k + 1];
+}
+
+/**
+ * Apply a response curve to a value in 0-1
+ * @param {Object} curve - { type, gamma, points }
+ * @param {number} x - Input in 0-1
+ */
+export function evaluateCurve(curve, x) {
+    switch (curve.type) {
+        case 'gamma':
+            return Math.pow(x, curve.gamma);
+        case 'spline':
+            return evaluateSpline(curve.points, x);
+        default:
+            return x;
+    }
+}
+
+/**
+ * The value that goes into the curve: gain, offset and deadzone applied, limited to 0-1.
+ * Values past the deadzone are stretched so the output still starts at 0.
+ * @param {number} value - Calibrated value
+ * @param {Object} settings - Output settings
+ */
+export function getCurveInput(value, settings) {
+    const scaled = value * settings.gain + settings.offset;
+    if (scaled <= settings.deadzone) return 0;
+    return clamp01(settings.deadzone < 1 ? (scaled - settings.deadzone) / (1 - settings.deadzone) : 0);
+}
+
+/**
+ * Shape one value for sending
+ * @param {number} value - Calibrated value
+ * @param {Object} settings - Output settings
+ * @returns {number} Output value
+ */
+export function applyOutputStage(value, settings) {
+    const shaped = evaluateCurve(settings.curve, getCurveInput(value, settings));
+    return Math.max(settings.clampMin, Math.min(settings.clampMax, shaped));
+}
@@ -0,0 +1,91 @@
+/**
+ * Named profiles: the per-person or per-headset part of the configuration
+ * (calibration, crop, flips, filters and output shaping), stored side by side in the config
+ * and exchanged as JSON files.
+ */
+
+export const PROFILE_KEYS = [
+    'blendshapeRanges',
+    'isCalibrated',
+    'calibrationToggleEnabled',
+    'calibrationPercentiles',
+    'discardBadFrames',
+    'cropRect',
+    'isVerticallyFlipped',
+    'isHorizontallyFlipped',
+    'filterChain',
+    'isFilterEnabled',
+    'outputSettings'
+];
+
+const PROFILE_FORMAT = 'blubber-profile';
+const PROFILE_VERSION = 1;
+
+/**
+ * Copy the profile settings out of a configuration
+ * @param {Object} config - Full configuration
+ * @returns {Object} Deep copy of the profile keys present in config
+ */
+export function extractProfile(config) {
+    const profile = {};
+    PROFILE_KEYS.forEach(key => {
+        if (config[key] !== undefined) {
+            profile[key] = JSON.parse(JSON.stringify(config[key]));
+        }
+    });
+    return profile;
+}
+
+/**
+ * Pick a name that is not taken yet, e.g. "Profile (2)"
+ * @param {string} name - Wanted name
+ * @param {string[]} existing - Names in use
+ */
+export function getUniqueProfileName(name, existing) {
+    const base = name.trim() || 'Profile';
+    let candidate = base;
+    for (let i = 2; existing.includes(candidate); i++) {
+        candidate = `${base} (${i})`;
+    }
+    return candidate;
+}
+
+/**
+ * Serialize a profile for export
+ * @param {string} name - Profile name
+ * @param {Object} profile - Profile settings
+ * @returns {string} JSON text
+ */
+export function serializeProfile(name, profile) {
+    return JSON.stringify({
+        format: PROFILE_FORMAT,
+        version: PROFILE_VERSION,
+        name,
+        settings: extractProfile(profile)
+    }, null, 2);
+}
+
+/**
+ * Read an exported profile
+ * @param {string} text - JSON text
+ * @returns {{name: string, settings: Object}}
+ * @throws {Error} With a readable message if the file is not a profile
+ */
+export function parseProfile(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Profile file is not valid JSON: ${error.message}`);
+    }
+    if (data?.format !== PROFILE_FORMAT || typeof data.settings !== 'object' || data.settings === null) {
+        throw new Error('File is not a Blubber profile');
+    }
+    if (data.version > PROFILE_VERSION) {
+        throw new Error(`Profile was exported by a newer version (format ${data.version}), update the app to import it`);
+    }
+    return {
+        name: typeof data.name === 'string' ? data.name : 'Imported',
+        settings: extractProfile(data.settings)
+    };
+}
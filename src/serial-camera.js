@@ -1,3 +1,5 @@
+import { decodeJpeg, getImageSize, releaseImage } from './frame-decoder.js';
+
 export class WebSerialCamera {
     constructor(options = {}) {
         this.port = null;
@@ -10,7 +12,6 @@ export class WebSerialCamera {
         this.frameNumber = 0;
         this.eventListeners = new Map();
         this.latestFrame = null;
-        this.currentImageUrl = null;
 
         // Default options - match the original implementation
         this.options = {
@@ -60,10 +61,6 @@ export class WebSerialCamera {
     }
 
     async disconnect() {
-        if (this.currentImageUrl) {
-            URL.revokeObjectURL(this.currentImageUrl);
-            this.currentImageUrl = null;
-        }
         if (this.reader) {
             await this.reader.cancel();
             this.reader = null;
@@ -77,6 +74,9 @@ export class WebSerialCamera {
             this.isConnected = false;
             this._emit('disconnected');
         }
+        // Released last, frames decoded while the port was closing may still have been stored
+        releaseImage(this.latestFrame?.image);
+        this.latestFrame = null;
     }
 
     on(event, callback) {
@@ -196,23 +196,32 @@ export class WebSerialCamera {
             this.fps = 0.02 * currentFps + 0.98 * this.fps;
 
             this.frameNumber++;
+            const frameNumber = this.frameNumber;
 
-            // Clean up previous URL if it exists
-            if (this.currentImageUrl) {
-                URL.revokeObjectURL(this.currentImageUrl);
+            // Decode straight to a drawable image
+            const image = await decodeJpeg(jpegBuffer);
+
+            // Disconnected while decoding, nothing would release the image
+            if (!this.isConnected) {
+                releaseImage(image);
+                return;
             }
 
-            // Create new blob and URL
-            const blob = new Blob([jpegBuffer], { type: 'image/jpeg' });
-            this.currentImageUrl = URL.createObjectURL(blob);
+            // A newer frame finished decoding first, drop this one
+            if (this.latestFrame && this.latestFrame.frameNumber > frameNumber) {
+                releaseImage(image);
+                return;
+            }
 
-            // Store the frame
+            // Free the previous frame and store the new one
+            releaseImage(this.latestFrame?.image);
             this.latestFrame = {
+                image,
+                ...getImageSize(image),
                 imageData: jpegBuffer,
-                frameNumber: this.frameNumber,
+                frameNumber,
                 fps: this.fps,
-                timestamp: currentTime,
-                imageUrl: this.currentImageUrl
+                timestamp: currentTime
             };
 
         } catch (err) {
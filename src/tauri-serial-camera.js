@@ -1,3 +1,5 @@
+import { decodeJpeg, getImageSize, releaseImage } from './frame-decoder.js';
+
 let SerialPort = null;
 
 // Function to dynamically load SerialPort when needed
@@ -27,7 +29,6 @@ export class TauriSerialCamera {
         this.frameNumber = 0;
         this.eventListeners = new Map();
         this.latestFrame = null;
-        this.currentImageUrl = null;
         this.isListening = false;
         this.portPath = null;
 
@@ -121,11 +122,6 @@ export class TauriSerialCamera {
     }
 
     async disconnect() {
-        if (this.currentImageUrl) {
-            URL.revokeObjectURL(this.currentImageUrl);
-            this.currentImageUrl = null;
-        }
-        
         if (this.port && this.isConnected) {
             try {
                 if (this.isListening) {
@@ -139,6 +135,9 @@ export class TauriSerialCamera {
             this.isConnected = false;
             this._emit('disconnected');
         }
+        // Released last, frames decoded while the port was closing may still have been stored
+        releaseImage(this.latestFrame?.image);
+        this.latestFrame = null;
     }
 
     on(event, callback) {
@@ -251,23 +250,32 @@ export class TauriSerialCamera {
             this.fps = 0.02 * currentFps + 0.98 * this.fps;
 
             this.frameNumber++;
+            const frameNumber = this.frameNumber;
+
+            // Decode straight to a drawable image
+            const image = await decodeJpeg(jpegBuffer);
 
-            // Clean up previous URL if it exists
-            if (this.currentImageUrl) {
-                URL.revokeObjectURL(this.currentImageUrl);
+            // Disconnected while decoding, nothing would release the image
+            if (!this.isConnected) {
+                releaseImage(image);
+                return;
             }
 
-            // Create new blob and URL
-            const blob = new Blob([jpegBuffer], { type: 'image/jpeg' });
-            this.currentImageUrl = URL.createObjectURL(blob);
+            // A newer frame finished decoding first, drop this one
+            if (this.latestFrame && this.latestFrame.frameNumber > frameNumber) {
+                releaseImage(image);
+                return;
+            }
 
-            // Store the frame
+            // Free the previous frame and store the new one
+            releaseImage(this.latestFrame?.image);
             this.latestFrame = {
+                image,
+                ...getImageSize(image),
                 imageData: jpegBuffer,
-                frameNumber: this.frameNumber,
+                frameNumber,
                 fps: this.fps,
-                timestamp: currentTime,
-                imageUrl: this.currentImageUrl
+                timestamp: currentTime
             };
 
         } catch (err) {
@@ -0,0 +1,143 @@
+import { compileDerivedOutputs, evaluateDerivedOutputs } from './derived-outputs.js';
+
+/**
+ * Translation of Babble's blendshapes to the VRCFaceTracking Unified Expressions parameters
+ * VRChat avatars read ("v2" parameters), so avatars can be driven without VRCFaceTracking.
+ * Base shapes are taken over as in VRCFaceTracking's Babble module, combined parameters are
+ * computed from them, and any parameter can additionally be sent binary encoded for avatars
+ * that save parameter memory with bool parameters.
+ */
+
+export const UNIFIED_PREFIX = '/avatar/parameters/v2/';
+
+// Unified Expressions shape and the Babble blendshape it comes from
+const UNIFIED_SHAPES = [
+    ['CheekPuffLeft', 'cheekPuffLeft'], ['CheekPuffRight', 'cheekPuffRight'],
+    ['CheekSuckLeft', 'cheekSuckLeft'], ['CheekSuckRight', 'cheekSuckRight'],
+    ['JawOpen', 'jawOpen'], ['JawForward', 'jawForward'], ['JawLeft', 'jawLeft'], ['JawRight', 'jawRight'],
+    ['NoseSneerLeft', 'noseSneerLeft'], ['NoseSneerRight', 'noseSneerRight'],
+    ['LipFunnelUpperLeft', 'mouthFunnel'], ['LipFunnelUpperRight', 'mouthFunnel'],
+    ['LipFunnelLowerLeft', 'mouthFunnel'], ['LipFunnelLowerRight', 'mouthFunnel'],
+    ['LipPuckerUpperLeft', 'mouthPucker'], ['LipPuckerUpperRight', 'mouthPucker'],
+    ['LipPuckerLowerLeft', 'mouthPucker'], ['LipPuckerLowerRight', 'mouthPucker'],
+    ['MouthUpperLeft', 'mouthLeft'], ['MouthLowerLeft', 'mouthLeft'],
+    ['MouthUpperRight', 'mouthRight'], ['MouthLowerRight', 'mouthRight'],
+    ['LipSuckUpperLeft', 'mouthRollUpper'], ['LipSuckUpperRight', 'mouthRollUpper'],
+    ['LipSuckLowerLeft', 'mouthRollLower'], ['LipSuckLowerRight', 'mouthRollLower'],
+    ['MouthRaiserUpper', 'mouthShrugUpper'], ['MouthRaiserLower', 'mouthShrugLower'],
+    ['MouthClosed', 'mouthClose'],
+    ['MouthCornerPullLeft', 'mouthSmileLeft'], ['MouthCornerPullRight', 'mouthSmileRight'],
+    ['MouthCornerSlantLeft', 'mouthSmileLeft'], ['MouthCornerSlantRight', 'mouthSmileRight'],
+    ['MouthFrownLeft', 'mouthFrownLeft'], ['MouthFrownRight', 'mouthFrownRight'],
+    ['MouthDimpleLeft', 'mouthDimpleLeft'], ['MouthDimpleRight', 'mouthDimpleRight'],
+    ['MouthUpperUpLeft', 'mouthUpperUpLeft'], ['MouthUpperUpRight', 'mouthUpperUpRight'],
+    ['MouthLowerDownLeft', 'mouthLowerDownLeft'], ['MouthLowerDownRight', 'mouthLowerDownRight'],
+    ['MouthPressLeft', 'mouthPressLeft'], ['MouthPressRight', 'mouthPressRight'],
+    ['MouthStretchLeft', 'mouthStretchLeft'], ['MouthStretchRight', 'mouthStretchRight'],
+    ['TongueOut', 'tongueOut'], ['TongueUp', 'tongueUp'], ['TongueDown', 'tongueDown'],
+    ['TongueLeft', 'tongueLeft'], ['TongueRight', 'tongueRight'], ['TongueRoll', 'tongueRoll'],
+    ['TongueBendDown', 'tongueBendDown'], ['TongueCurlUp', 'tongueCurlUp'],
+    ['TongueSquish', 'tongueSquish'], ['TongueFlat', 'tongueFlat'],
+    ['TongueTwistLeft', 'tongueTwistLeft'], ['TongueTwistRight', 'tongueTwistRight']
+];
+
+// Combined parameters, as derived outputs over the base shapes and earlier combined ones.
+// Signed ones range from -1 to 1, all others from 0 to 1
+const UNIFIED_COMBINED = [
+    { name: 'JawX', expression: 'JawRight - JawLeft', signed: true },
+    { name: 'MouthUpperX', expression: 'MouthUpperRight - MouthUpperLeft', signed: true },
+    { name: 'MouthLowerX', expression: 'MouthLowerRight - MouthLowerLeft', signed: true },
+    { name: 'MouthX', expression: '(MouthUpperX + MouthLowerX) / 2', signed: true },
+    { name: 'LipFunnelUpper', expression: '(LipFunnelUpperLeft + LipFunnelUpperRight) / 2' },
+    { name: 'LipFunnelLower', expression: '(LipFunnelLowerLeft + LipFunnelLowerRight) / 2' },
+    { name: 'LipFunnel', expression: '(LipFunnelUpper + LipFunnelLower) / 2' },
+    { name: 'LipPuckerUpper', expression: '(LipPuckerUpperLeft + LipPuckerUpperRight) / 2' },
+    { name: 'LipPuckerLower', expression: '(LipPuckerLowerLeft + LipPuckerLowerRight) / 2' },
+    { name: 'LipPucker', expression: '(LipPuckerUpper + LipPuckerLower) / 2' },
+    { name: 'LipSuckUpper', expression: '(LipSuckUpperLeft + LipSuckUpperRight) / 2' },
+    { name: 'LipSuckLower', expression: '(LipSuckLowerLeft + LipSuckLowerRight) / 2' },
+    { name: 'LipSuck', expression: '(LipSuckUpper + LipSuckLower) / 2' },
+    { name: 'MouthUpperUp', expression: '(MouthUpperUpLeft + MouthUpperUpRight) / 2' },
+    { name: 'MouthLowerDown', expression: '(MouthLowerDownLeft + MouthLowerDownRight) / 2' },
+    { name: 'MouthSmileLeft', expression: 'MouthCornerPullLeft' },
+    { name: 'MouthSmileRight', expression: 'MouthCornerPullRight' },
+    { name: 'MouthSmile', expression: '(MouthSmileLeft + MouthSmileRight) / 2' },
+    { name: 'MouthSadLeft', expression: 'max(MouthFrownLeft, MouthStretchLeft)' },
+    { name: 'MouthSadRight', expression: 'max(MouthFrownRight, MouthStretchRight)' },
+    { name: 'MouthSad', expression: '(MouthSadLeft + MouthSadRight) / 2' },
+    { name: 'SmileFrownLeft', expression: 'MouthSmileLeft - MouthFrownLeft', signed: true },
+    { name: 'SmileFrownRight', expression: 'MouthSmileRight - MouthFrownRight', signed: true },
+    { name: 'SmileFrown', expression: '(SmileFrownLeft + SmileFrownRight) / 2', signed: true },
+    { name: 'SmileSadLeft', expression: 'MouthSmileLeft - MouthSadLeft', signed: true },
+    { name: 'SmileSadRight', expression: 'MouthSmileRight - MouthSadRight', signed: true },
+    { name: 'SmileSad', expression: '(SmileSadLeft + SmileSadRight) / 2', signed: true },
+    { name: 'MouthFrown', expression: '(MouthFrownLeft + MouthFrownRight) / 2' },
+    { name: 'MouthStretch', expression: '(MouthStretchLeft + MouthStretchRight) / 2' },
+    { name: 'MouthDimple', expression: '(MouthDimpleLeft + MouthDimpleRight) / 2' },
+    { name: 'MouthPress', expression: '(MouthPressLeft + MouthPressRight) / 2' },
+    { name: 'CheekPuffSuckLeft', expression: 'CheekPuffLeft - CheekSuckLeft', signed: true },
+    { name: 'CheekPuffSuckRight', expression: 'CheekPuffRight - CheekSuckRight', signed: true },
+    { name: 'CheekPuffSuck', expression: '(CheekPuffSuckLeft + CheekPuffSuckRight) / 2', signed: true },
+    { name: 'CheekSuck', expression: '(CheekSuckLeft + CheekSuckRight) / 2' },
+    { name: 'NoseSneer', expression: '(NoseSneerLeft + NoseSneerRight) / 2' },
+    { name: 'TongueX', expression: 'TongueRight - TongueLeft', signed: true },
+    { name: 'TongueY', expression: 'TongueUp - TongueDown', signed: true },
+    { name: 'TongueArchY', expression: 'TongueCurlUp - TongueBendDown', signed: true },
+    { name: 'TongueShape', expression: 'TongueFlat - TongueSquish', signed: true },
+    { name: 'TongueTwist', expression: 'TongueTwistRight - TongueTwistLeft', signed: true }
+];
+
+const SHAPE_NAMES = UNIFIED_SHAPES.map(([unified]) => unified);
+const COMBINED = compileDerivedOutputs(UNIFIED_COMBINED, SHAPE_NAMES);
+
+// Every parameter name the translator produces
+export const UNIFIED_PARAMETERS = [...SHAPE_NAMES, ...UNIFIED_COMBINED.map(({ name }) => name)];
+const SIGNED_PARAMETERS = new Set(UNIFIED_COMBINED.filter(({ signed }) => signed).map(({ name }) => name));
+
+/**
+ * Split a value into the bool parameters VRCFaceTracking's binary parameters use:
+ * name1, name2, name4, ... hold the bits of |value| scaled to 2^bits - 1 steps,
+ * nameNegative the sign of signed parameters
+ * @param {string} name - Parameter name
+ * @param {number} value - Value in -1 to 1, or 0 to 1 if not signed
+ * @param {number} bits - Number of bool parameters for the magnitude
+ * @param {boolean} signed - Whether the parameter can be negative
+ * @returns {Array<[string, boolean]>}
+ */
+export function encodeBinaryParameter(name, value, bits, signed = false) {
+    const magnitude = signed ? Math.abs(value) : Math.max(0, value);
+    const steps = Math.floor(Math.min(1, magnitude) * ((1 << bits) - 1));
+    const encoded = signed ? [[`${name}Negative`, value < 0]] : [];
+    for (let bit = 0; bit < bits; bit++) {
+        encoded.push([`${name}${1 << bit}`, ((steps >> bit) & 1) === 1]);
+    }
+    return encoded;
+}
+
+/**
+ * Unified Expressions parameters for one frame
+ * @param {string[]} names - Babble blendshape names
+ * @param {ArrayLike<number>} values - Calibrated values in names order
+ * @param {Object} options
+ * @param {number} options.binaryBits - Also send binary encoded parameters with this many bits, 0 for floats only
+ * @param {string[]} options.binaryParameters - Parameters to encode, none if empty
+ * @returns {Object} OSC address → float or bool value
+ */
+export function createUnifiedParameters(names, values, { binaryBits = 0, binaryParameters = [] } = {}) {
+    const babble = new Map(names.map((name, index) => [name, values[index]]));
+    const shapeValues = UNIFIED_SHAPES.map(([, source]) => babble.get(source) ?? 0);
+    const combinedValues = evaluateDerivedOutputs(COMBINED, SHAPE_NAMES, shapeValues);
+
+    const output = { [`${UNIFIED_PREFIX}LipTrackingActive`]: true };
+    const add = (name, value) => {
+        output[`${UNIFIED_PREFIX}${name}`] = value;
+        if (binaryBits > 0 && binaryParameters.includes(name)) {
+            encodeBinaryParameter(name, value, binaryBits, SIGNED_PARAMETERS.has(name)).forEach(([bitName, bit]) => {
+                output[`${UNIFIED_PREFIX}${bitName}`] = bit;
+            });
+        }
+    };
+    SHAPE_NAMES.forEach((name, index) => add(name, shapeValues[index]));
+    COMBINED.forEach((parameter, index) => add(parameter.name, combinedValues[index]));
+    return output;
+}
@@ -1,3 +1,15 @@
+import { getImageSize } from './frame-decoder.js';
+
+// Common capture modes offered when the device reports a supported range
+const COMMON_RESOLUTIONS = [
+    { width: 320, height: 240 },
+    { width: 640, height: 480 },
+    { width: 800, height: 600 },
+    { width: 1280, height: 720 },
+    { width: 1920, height: 1080 }
+];
+const COMMON_FRAME_RATES = [15, 24, 30, 60, 90, 120];
+
 export class WebcamCamera {
     constructor() {
         this.stream = null;
@@ -8,20 +20,107 @@ export class WebcamCamera {
         this.fps = 0;
         this.frameNumber = 0;
         this.eventListeners = new Map();
+
+        // Requested capture settings, frameRate null means browser default
+        this.settings = {
+            deviceId: null,
+            width: 640,
+            height: 480,
+            frameRate: null
+        };
+        // What the browser actually negotiated, from MediaStreamTrack.getSettings()
+        this.negotiated = null;
+        this.isDeviceLost = false;
+
+        if (navigator.mediaDevices) {
+            navigator.mediaDevices.addEventListener('devicechange', () => this._handleDeviceChange());
+        }
     }
 
-    async requestPort() {
+    /**
+     * List available video input devices
+     * @returns {Promise<Array<{deviceId: string, label: string}>>}
+     */
+    async getAvailableDevices() {
         try {
-            const stream = await navigator.mediaDevices.getUserMedia({ 
-                video: { 
-                    width: { ideal: 640 },
-                    height: { ideal: 480 },
-                    facingMode: "user"
-                } 
-            });
-            this.stream = stream;
-            this.videoElement.srcObject = stream;
-            await this.videoElement.play();
+            let devices = await navigator.mediaDevices.enumerateDevices();
+            let videoDevices = devices.filter(device => device.kind === 'videoinput');
+
+            // Labels are hidden until the page has been granted camera access once
+            if (videoDevices.length > 0 && videoDevices.every(device => !device.label) && !this.stream) {
+                const stream = await navigator.mediaDevices.getUserMedia({ video: true });
+                stream.getTracks().forEach(track => track.stop());
+                devices = await navigator.mediaDevices.enumerateDevices();
+                videoDevices = devices.filter(device => device.kind === 'videoinput');
+            }
+
+            return videoDevices.map((device, index) => ({
+                deviceId: device.deviceId,
+                label: device.label || `Camera ${index + 1}`
+            }));
+        } catch (err) {
+            console.error('Failed to enumerate webcams:', err);
+            return [];
+        }
+    }
+
+    /**
+     * Get the resolutions and frame rates a device supports
+     * @param {string} deviceId - Device to query
+     * @returns {Promise<{resolutions: Array<{width: number, height: number}>, frameRates: number[]}>}
+     */
+    async getSupportedModes(deviceId) {
+        let track = null;
+        let tempStream = null;
+        try {
+            const currentTrack = this.stream?.getVideoTracks()[0];
+            if (currentTrack && currentTrack.getSettings().deviceId === deviceId) {
+                track = currentTrack;
+            } else {
+                tempStream = await navigator.mediaDevices.getUserMedia({
+                    video: { deviceId: { exact: deviceId } }
+                });
+                track = tempStream.getVideoTracks()[0];
+            }
+
+            // getCapabilities() is not available in every browser
+            const capabilities = track.getCapabilities ? track.getCapabilities() : {};
+            const maxWidth = capabilities.width?.max ?? Infinity;
+            const maxHeight = capabilities.height?.max ?? Infinity;
+            const maxFrameRate = capabilities.frameRate?.max ?? Infinity;
+
+            const resolutions = COMMON_RESOLUTIONS.filter(mode =>
+                mode.width <= maxWidth && mode.height <= maxHeight
+            );
+            if (Number.isFinite(maxWidth) && Number.isFinite(maxHeight) &&
+                !resolutions.some(mode => mode.width === maxWidth && mode.height === maxHeight)) {
+                resolutions.push({ width: maxWidth, height: maxHeight });
+            }
+
+            const frameRates = COMMON_FRAME_RATES.filter(rate => rate <= maxFrameRate);
+            if (Number.isFinite(maxFrameRate) && !frameRates.includes(Math.round(maxFrameRate))) {
+                frameRates.push(Math.round(maxFrameRate));
+            }
+
+            return { resolutions, frameRates };
+        } catch (err) {
+            console.error('Failed to read webcam capabilities:', err);
+            return { resolutions: [...COMMON_RESOLUTIONS], frameRates: [...COMMON_FRAME_RATES] };
+        } finally {
+            if (tempStream) {
+                tempStream.getTracks().forEach(t => t.stop());
+            }
+        }
+    }
+
+    /**
+     * Open the webcam
+     * @param {Object} settings - Optional deviceId, width, height and frameRate to request
+     */
+    async requestPort(settings = {}) {
+        try {
+            this.settings = { ...this.settings, ...settings };
+            await this._openStream();
             return true;
         } catch (err) {
             console.error('Failed to access webcam:', err);
@@ -40,11 +139,9 @@ export class WebcamCamera {
     }
 
     async disconnect() {
-        if (this.stream) {
-            this.stream.getTracks().forEach(track => track.stop());
-            this.stream = null;
-        }
+        this._stopStream();
         this.isConnected = false;
+        this.isDeviceLost = false;
         this._emit('disconnected');
     }
 
@@ -69,6 +166,78 @@ export class WebcamCamera {
         }
     }
 
+    async _openStream() {
+        const { deviceId, width, height, frameRate } = this.settings;
+        const video = {
+            width: { ideal: width },
+            height: { ideal: height }
+        };
+        if (deviceId) {
+            video.deviceId = { exact: deviceId };
+        } else {
+            video.facingMode = 'user';
+        }
+        if (frameRate) {
+            video.frameRate = { ideal: frameRate };
+        }
+
+        const stream = await navigator.mediaDevices.getUserMedia({ video });
+        this._stopStream();
+        this.stream = stream;
+        this.videoElement.srcObject = stream;
+        await this.videoElement.play();
+
+        const track = stream.getVideoTracks()[0];
+        track.addEventListener('ended', () => this._handleTrackEnded(track));
+        this.negotiated = track.getSettings();
+        // Remember the device we actually got so it can be rebound later
+        this.settings.deviceId = this.negotiated.deviceId || deviceId;
+        this._emit('negotiated', this.negotiated);
+    }
+
+    _stopStream() {
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => track.stop());
+            this.stream = null;
+        }
+    }
+
+    _handleTrackEnded(track) {
+        // Ignore tracks we stopped ourselves
+        if (!this.isConnected || !this.stream || !this.stream.getTracks().includes(track)) return;
+
+        console.warn('Webcam track ended, waiting for the device to come back');
+        this.stream = null;
+        this.isDeviceLost = true;
+        this._emit('deviceLost');
+    }
+
+    async _handleDeviceChange() {
+        this._emit('devicesChanged');
+        if (!this.isDeviceLost || !this.isConnected) return;
+        // Replugging fires several events, only one of them rebinds; it is marked lost again if that fails
+        this.isDeviceLost = false;
+
+        try {
+            const devices = await this.getAvailableDevices();
+            if (!devices.some(device => device.deviceId === this.settings.deviceId)) {
+                this.isDeviceLost = this.isConnected;
+                return;
+            }
+            await this._openStream();
+            if (!this.isConnected) {
+                this._stopStream();
+                return;
+            }
+            console.log('Webcam device reconnected');
+            this._emit('rebound', this.negotiated);
+        } catch (err) {
+            console.error('Failed to rebind webcam:', err);
+            // Unless disconnect() was called in the meantime
+            this.isDeviceLost = this.isConnected;
+        }
+    }
+
     async getFrame() {
         if (!this.isConnected || !this.stream) {
             return null;
@@ -85,23 +254,14 @@ export class WebcamCamera {
 
         this.frameNumber++;
 
-        // Create a canvas to capture the current frame
-        const canvas = document.createElement('canvas');
-        canvas.width = this.videoElement.videoWidth;
-        canvas.height = this.videoElement.videoHeight;
-        const ctx = canvas.getContext('2d', { willReadFrequently: true });
-        ctx.drawImage(this.videoElement, 0, 0);
-
-        // Convert to blob and create URL
-        const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.95));
-        const imageUrl = URL.createObjectURL(blob);
-
+        // Hand out the video element itself, it is drawn directly without re-encoding
         return {
+            image: this.videoElement,
+            ...getImageSize(this.videoElement),
             imageData: null, // Not needed for web display
             frameNumber: this.frameNumber,
             fps: this.fps,
-            timestamp: currentTime,
-            imageUrl: imageUrl
+            timestamp: currentTime
         };
     }
-} 
\ No newline at end of file
+}
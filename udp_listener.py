@@ -19,7 +19,7 @@ def listen_udp(port=8888):
     try:
         while True:
             try:
-                data, address = sock.recvfrom(4096)
+                data, address = sock.recvfrom(65535)
                 message_count += 1
                 timestamp = datetime.datetime.now().strftime('%H:%M:%S.%f')[:-3]
                 
@@ -35,8 +35,12 @@ def listen_udp(port=8888):
                     sample_keys = ['jawOpen', 'mouthSmileLeft', 'tongueOut']
                     sample_data = {k: v for k, v in json_data.get('data', {}).items() if k in sample_keys}
                     
+                    print(f'Frame: {json_data.get("frame")}, captured at {json_data.get("timestamp")}')
                     print(f'Sample data: {sample_data}')
                     print(f'Total blendshapes: {len(json_data.get("data", {}))}')
+                    if 'raw' in json_data:
+                        sample_raw = {k: v for k, v in json_data['raw'].items() if k in sample_keys}
+                        print(f'Sample raw: {sample_raw}')
                     
                 except (UnicodeDecodeError, json.JSONDecodeError) as e:
                     # print(f'Error parsing data: {e}')
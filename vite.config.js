@@ -1,12 +1,36 @@
 import { defineConfig } from 'vite';
+import { createHash } from 'node:crypto';
+import { existsSync, readFileSync } from 'node:fs';
 
 const host = process.env.TAURI_DEV_HOST;
 
+// Cache versions for the service worker (public/sw.js): the app shell is refreshed on every build,
+// the model cache only when the model or the ONNX runtime changes
+const buildId = Date.now().toString(36);
+function getModelVersion() {
+  const hash = createHash('sha256');
+  if (existsSync('public/model.onnx')) {
+    hash.update(readFileSync('public/model.onnx'));
+  }
+  if (existsSync('node_modules/onnxruntime-web/package.json')) {
+    hash.update(JSON.parse(readFileSync('node_modules/onnxruntime-web/package.json', 'utf8')).version);
+  }
+  return hash.digest('hex').slice(0, 12);
+}
+
 export default defineConfig({
     base: process.env.TAURI_ENV_PLATFORM ? '/' : '/blubber-web/',
+    define: {
+        __BUILD_ID__: JSON.stringify(buildId),
+        __MODEL_VERSION__: JSON.stringify(getModelVersion()),
+    },
     optimizeDeps: {
         exclude: ['onnxruntime-web']
     },
+    // the model worker imports onnxruntime-web, which needs ES module workers
+    worker: {
+        format: 'es'
+    },
   // prevent vite from obscuring rust errors
   clearScreen: false,
   server: {